@@ -0,0 +1,10 @@
+'use strict';
+
+class ConnectionBlockedError extends Error {
+    constructor(connectionName) {
+        super(`connection of name ${connectionName} is blocked by the broker`);
+        this.name = 'ConnectionBlockedError';
+    }
+}
+
+module.exports = ConnectionBlockedError;
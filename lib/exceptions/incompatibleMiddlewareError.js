@@ -0,0 +1,10 @@
+'use strict';
+
+class IncompatibleMiddlewareError extends Error {
+    constructor() {
+        super('middleware must be a function');
+        this.name = 'IncompatibleMiddlewareError';
+    }
+}
+
+module.exports = IncompatibleMiddlewareError;
@@ -0,0 +1,10 @@
+'use strict';
+
+class IncompatibleSerializerError extends Error {
+    constructor(contentType) {
+        super(`serializer for content type ${contentType} is incompatible`);
+        this.name = 'IncompatibleSerializerError';
+    }
+}
+
+module.exports = IncompatibleSerializerError;
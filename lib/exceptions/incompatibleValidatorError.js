@@ -0,0 +1,10 @@
+'use strict';
+
+class IncompatibleValidatorError extends Error {
+    constructor(pattern) {
+        super(`validator for route key pattern ${pattern} must be a synchronous function or a JSON schema object`);
+        this.name = 'IncompatibleValidatorError';
+    }
+}
+
+module.exports = IncompatibleValidatorError;
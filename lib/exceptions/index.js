@@ -2,7 +2,17 @@
 
 module.exports = {
     NoConnectionError: require('./noConnectionError'),
+    ConnectionBlockedError: require('./connectionBlockedError'),
+    NoSerializerError: require('./noSerializerError'),
     SubscriptionExistError: require('./subscriptionExistError'),
     SubscriptionBlockedError: require('./subscriptionBlockedError'),
-    IncompatibleLoggerError: require('./incompatibleLoggerError')
+    IncompatibleLoggerError: require('./incompatibleLoggerError'),
+    IncompatibleMiddlewareError: require('./incompatibleMiddlewareError'),
+    IncompatibleSerializerError: require('./incompatibleSerializerError'),
+    IncompatibleValidatorError: require('./incompatibleValidatorError'),
+    MessageValidationError: require('./messageValidationError'),
+    PublishBackpressureError: require('./publishBackpressureError'),
+    QueueArgumentsMismatchError: require('./queueArgumentsMismatchError'),
+    RequestTimeoutError: require('./requestTimeoutError'),
+    TimeoutError: require('./timeoutError')
 };
@@ -0,0 +1,12 @@
+'use strict';
+
+class MessageValidationError extends Error {
+    constructor(routeKey, errors = []) {
+        super(`message failed validation for route key ${routeKey} : ${errors.join(', ')}`);
+        this.name = 'MessageValidationError';
+        this.routeKey = routeKey;
+        this.errors = errors;
+    }
+}
+
+module.exports = MessageValidationError;
@@ -0,0 +1,10 @@
+'use strict';
+
+class NoSerializerError extends Error {
+    constructor(contentType) {
+        super(`no serializer found for content type ${contentType}`);
+        this.name = 'NoSerializerError';
+    }
+}
+
+module.exports = NoSerializerError;
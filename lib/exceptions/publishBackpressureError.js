@@ -0,0 +1,10 @@
+'use strict';
+
+class PublishBackpressureError extends Error {
+    constructor(channelName, maxPendingPublishes) {
+        super(`channel of name ${channelName} reached the limit of ${maxPendingPublishes} pending publishes`);
+        this.name = 'PublishBackpressureError';
+    }
+}
+
+module.exports = PublishBackpressureError;
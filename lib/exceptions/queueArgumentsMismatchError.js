@@ -0,0 +1,12 @@
+'use strict';
+
+class QueueArgumentsMismatchError extends Error {
+    constructor(queue) {
+        super(
+            `queue of name ${queue} already exists with different arguments, delete it before subscribing with another rejectMode`
+        );
+        this.name = 'QueueArgumentsMismatchError';
+    }
+}
+
+module.exports = QueueArgumentsMismatchError;
@@ -0,0 +1,10 @@
+'use strict';
+
+class RequestTimeoutError extends Error {
+    constructor(correlationId, timeout) {
+        super(`request of correlationId ${correlationId} timed out after ${timeout}ms waiting for a reply`);
+        this.name = 'RequestTimeoutError';
+    }
+}
+
+module.exports = RequestTimeoutError;
@@ -0,0 +1,10 @@
+'use strict';
+
+class TimeoutError extends Error {
+    constructor() {
+        super('Timeout occurred');
+        this.name = 'TimeoutError';
+    }
+}
+
+module.exports = TimeoutError;
@@ -0,0 +1,51 @@
+'use strict';
+
+/*
+ * Settlement Aggregation Helper
+ * Splits `ack`, `rej` and `requeue` of a single message across handlers that share it.
+ * The message is settled once every handler has decided.  Any rejection wins over a requeue,
+ * and a requeue wins over an ack.  Only the first decision of each handler counts.
+ */
+const aggregateSettlement = (count, settlement) => {
+    if (count <= 1) {
+        return [settlement];
+    }
+
+    const decisions = [];
+
+    const decide = async (action, args) => {
+        decisions.push({ action, args });
+
+        if (decisions.length < count) {
+            return;
+        }
+
+        const decision =
+            decisions.find(({ action: decided }) => decided === 'rej') ||
+            decisions.find(({ action: decided }) => decided === 'requeue') ||
+            decisions[0];
+
+        await settlement[decision.action](...decision.args);
+    };
+
+    return Array.from({ length: count }, () => {
+        let decided = false;
+
+        const decideOnce = (action) => {
+            return async (...args) => {
+                if (!decided) {
+                    decided = true;
+                    await decide(action, args);
+                }
+            };
+        };
+
+        return {
+            ack: decideOnce('ack'),
+            rej: decideOnce('rej'),
+            requeue: decideOnce('requeue')
+        };
+    });
+};
+
+module.exports = aggregateSettlement;
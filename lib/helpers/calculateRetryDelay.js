@@ -0,0 +1,22 @@
+'use strict';
+
+const ExponentialBackoff = require('./exponentialBackoff');
+
+/*
+ * Retry Delay Helper
+ * Resolves the number of milliseconds a requeued message should wait before redelivery.
+ * Jitter is not applied because every distinct delay maps to its own wait queue.
+ */
+const calculateRetryDelay = (retry, retryCount = 0) => {
+    if (!retry || !retry.delay) {
+        return 0;
+    }
+
+    if (retry.type === 'exponential') {
+        return ExponentialBackoff(retryCount, { interval: retry.delay, ceiling: retry.maxDelay, jitter: 0 });
+    }
+
+    return retry.delay;
+};
+
+module.exports = calculateRetryDelay;
@@ -0,0 +1,28 @@
+'use strict';
+
+/*
+ * Middleware Helper
+ * Chains middleware as `async (context, next) => {}` in registration order around a final handler.
+ * A middleware that resolves without calling `next()` short circuits the rest of the chain.
+ */
+const composeMiddleware = (middlewares) => {
+    return (context, handler) => {
+        let lastIndex = -1;
+
+        const dispatch = async (index) => {
+            if (index <= lastIndex) {
+                throw new Error('next() called multiple times');
+            }
+
+            lastIndex = index;
+
+            const middleware = index < middlewares.length ? middlewares[index] : handler;
+
+            return await middleware(context, () => dispatch(index + 1));
+        };
+
+        return dispatch(0);
+    };
+};
+
+module.exports = composeMiddleware;
@@ -0,0 +1,38 @@
+'use strict';
+
+const Zlib = require('zlib');
+
+const COMPRESSORS = {
+    gzip: Zlib.gzipSync,
+    br: Zlib.brotliCompressSync,
+    deflate: Zlib.deflateSync
+};
+
+/*
+ * Compression Helper
+ * Compresses a buffer with the configured encoding once it reaches the size threshold.
+ * `contentEncoding` is only returned when the buffer was compressed.
+ */
+const compressBuffer = (buffer, compression) => {
+    if (!compression || !compression.encoding) {
+        return { buffer };
+    }
+
+    const { encoding, threshold = 1024 } = compression;
+    const compressor = COMPRESSORS[encoding];
+
+    if (!compressor) {
+        throw new Error(`unsupported compression encoding ${encoding}`);
+    }
+
+    if (buffer.length < threshold) {
+        return { buffer };
+    }
+
+    return {
+        buffer: compressor(buffer),
+        contentEncoding: encoding
+    };
+};
+
+module.exports = compressBuffer;
@@ -1,11 +1,28 @@
 'use strict';
 
-const convertToBuffer = (content) => {
+const Exceptions = require('../exceptions');
+
+const convertToBuffer = (content, contentType, serializers) => {
     const isBuffer = Buffer.isBuffer(content);
+    const serializer = contentType && serializers ? serializers.get(contentType) : undefined;
+
+    if (serializer) {
+        return {
+            isBuffer,
+            buffer: serializer.serialize(content),
+            contentType
+        };
+    }
+
+    // buffers are treated as already serialized so they pass through for any content type
+    if (contentType && serializers && !isBuffer) {
+        throw new Exceptions.NoSerializerError(contentType);
+    }
 
     const result = {
         isBuffer,
-        buffer: isBuffer ? content : Buffer.from(JSON.stringify(content))
+        buffer: isBuffer ? content : Buffer.from(JSON.stringify(content)),
+        contentType
     };
 
     return result;
@@ -3,7 +3,10 @@
 const createConnectionString = function (config) {
     const { protocol, username, password, hostname, port, vhost, heartbeat } = config;
 
-    return `${protocol}://${username}:${password}@${hostname}:${port}/${vhost}?heartbeat=${heartbeat}`;
+    // the password is masked because the connection string is only ever surfaced for display and logging
+    const redactedPassword = password ? '***' : '';
+
+    return `${protocol}://${username}:${redactedPassword}@${hostname}:${port}/${vhost}?heartbeat=${heartbeat}`;
 };
 
 module.exports = createConnectionString;
@@ -0,0 +1,21 @@
+'use strict';
+
+const IsString = require('./isString');
+
+const createHostList = ({ hosts, port } = {}) => {
+    if (!Array.isArray(hosts)) {
+        return [];
+    }
+
+    return hosts.map((host) => {
+        if (IsString(host)) {
+            const [hostname, hostPort] = host.split(':');
+
+            return { hostname, port: hostPort ? parseInt(hostPort, 10) : port };
+        }
+
+        return { hostname: host.hostname, port: host.port || port };
+    });
+};
+
+module.exports = createHostList;
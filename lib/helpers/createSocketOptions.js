@@ -0,0 +1,33 @@
+'use strict';
+
+const Fs = require('fs');
+const CleanObject = require('./cleanObject');
+
+const readFile = (file) => (Array.isArray(file) ? file.map((entry) => Fs.readFileSync(entry)) : Fs.readFileSync(file));
+
+const createSocketOptions = ({ tls } = {}) => {
+    if (!tls) {
+        return undefined;
+    }
+
+    const { ca, caFile, cert, certFile, key, keyFile, passphrase, servername, rejectUnauthorized } = tls;
+
+    const result = {
+        ca: caFile ? readFile(caFile) : ca,
+        cert: certFile ? readFile(certFile) : cert,
+        key: keyFile ? readFile(keyFile) : key,
+        passphrase,
+        servername,
+        rejectUnauthorized
+    };
+
+    CleanObject(result);
+
+    if (result.ca && !Array.isArray(result.ca)) {
+        result.ca = [result.ca];
+    }
+
+    return result;
+};
+
+module.exports = createSocketOptions;
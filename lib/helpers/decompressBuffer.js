@@ -0,0 +1,22 @@
+'use strict';
+
+const Zlib = require('zlib');
+
+const DECOMPRESSORS = {
+    gzip: Zlib.gunzipSync,
+    br: Zlib.brotliDecompressSync,
+    deflate: Zlib.inflateSync
+};
+
+/*
+ * Decompression Helper
+ * Reverses `compressBuffer` for the supported encodings.  Any other `contentEncoding`,
+ * such as a charset set by a foreign publisher, leaves the buffer untouched.
+ */
+const decompressBuffer = (buffer, contentEncoding) => {
+    const decompressor = contentEncoding && DECOMPRESSORS[contentEncoding];
+
+    return decompressor ? decompressor(buffer) : buffer;
+};
+
+module.exports = decompressBuffer;
@@ -5,26 +5,47 @@ module.exports = {
         protocol: 'amqp',
         hostname: '127.0.0.1',
         port: 5672,
+        hosts: null,
+        hostSelection: 'round-robin',
         username: 'guest',
         password: 'guest',
+        tls: null,
         locale: 'en_US',
         heartbeat: 20,
         vhost: '%2f',
         timeout: 2000,
+        requestTimeout: 5000,
         connectionRetryCount: 10,
         globalExchange: 'default-exchange',
         prefetch: 5,
         errorQueue: 'error-bus',
         silence: false,
         maxRetryCount: 10,
+        retry: null,
+        compression: null,
+        publishConfirms: 'each',
+        maxPendingPublishes: null,
+        backpressureMode: 'wait',
+        blockedMode: 'wait',
+        blockedTimeout: null,
         validatePublisher: false,
         validateVersion: false,
         dispatchType: 'serial',
+        maxConcurrency: 5,
+        partitionKey: null,
+        partitionLanes: 5,
+        handlerMatching: 'first',
         rejectUnroutedMessages: false,
         rejectPoisonMessages: true,
+        rejectMode: 'copy',
+        autoAck: false,
+        handlerTimeout: null,
+        classifyError: null,
+        drainTimeout: 5000,
         disableQueueBind: false,
         disableQueueCreate: false,
-        disableExchangeCreate: false
+        disableExchangeCreate: false,
+        connections: null
     },
     queue: {
         exclusive: false,
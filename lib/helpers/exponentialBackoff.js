@@ -5,12 +5,12 @@
  * Backoff up to a maximum ceiling
  * Add pseudo-random jitter to help prevent reconnect floods
  */
-module.exports = function (retryCount) {
-    const nextInterval = 25 * Math.pow(2, retryCount);
-    const jitter = Math.floor(Math.random() * 2000);
-    if (nextInterval > 10000) {
-        return 10000 + jitter;
+module.exports = function (retryCount, { interval = 25, ceiling = 10000, jitter = 2000 } = {}) {
+    const nextInterval = interval * Math.pow(2, retryCount);
+    const jitterValue = Math.floor(Math.random() * jitter);
+    if (nextInterval > ceiling) {
+        return ceiling + jitterValue;
     }
 
-    return nextInterval + jitter;
+    return nextInterval + jitterValue;
 };
@@ -2,9 +2,41 @@
 
 const RouteMatcher = require('./routeMatcher');
 
-const handlerMatcher = (handlers, match) => {
+// ranks a pattern by its literal words first, then by the narrower `*` wildcard over `#`
+const specificity = (pattern) => {
+    const words = pattern.split('.');
+
+    return {
+        literals: words.filter((word) => word !== '*' && word !== '#').length,
+        hashes: words.filter((word) => word === '#').length,
+        stars: words.filter((word) => word === '*').length
+    };
+};
+
+const compareSpecificity = (a, b) => {
+    const left = specificity(a);
+    const right = specificity(b);
+
+    return right.literals - left.literals || left.hashes - right.hashes || left.stars - right.stars;
+};
+
+const handlerMatcher = (handlers, match, mode = 'first') => {
     const result = [];
 
+    if (mode === 'all' || mode === 'most-specific') {
+        const patterns = Object.keys(handlers).filter((key) => RouteMatcher(key, match));
+
+        if (mode === 'all') {
+            return patterns.map((pattern) => handlers[pattern]);
+        }
+
+        // sort is stable so ties are resolved by the order the handlers were declared
+        return patterns
+            .sort(compareSpecificity)
+            .slice(0, 1)
+            .map((pattern) => handlers[pattern]);
+    }
+
     for (const key in handlers) {
         if (RouteMatcher(key, match)) {
             result.push(handlers[key]);
@@ -1,11 +1,18 @@
 'use strict';
 
 module.exports = {
+    aggregateSettlement: require('./aggregateSettlement'),
     buildPublishOrSendOptions: require('./buildPublishOrSendOptions'),
+    calculateRetryDelay: require('./calculateRetryDelay'),
     cleanObject: require('./cleanObject'),
+    composeMiddleware: require('./composeMiddleware'),
+    compressBuffer: require('./compressBuffer'),
     convertToBuffer: require('./convertToBuffer'),
     createConnectionString: require('./createConnectionString'),
+    createHostList: require('./createHostList'),
+    createSocketOptions: require('./createSocketOptions'),
     createTransactionId: require('./createTransactionId'),
+    decompressBuffer: require('./decompressBuffer'),
     defaultConfiguration: require('./defaultConfiguration'),
     exponentialBackoff: require('./exponentialBackoff'),
     getPackageData: require('./getPackageData'),
@@ -15,9 +22,12 @@ module.exports = {
     isString: require('./isString'),
     parsePayload: require('./parsePayload'),
     reduceErrorQueue: require('./reduceErrorQueue'),
+    reduceOriginQueue: require('./reduceOriginQueue'),
+    reducePartitionKey: require('./reducePartitionKey'),
     reduceRouteKey: require('./reduceRouteKey'),
     retryAsync: require('./retryAsync'),
     routeMatcher: require('./routeMatcher'),
+    summarizeErrors: require('./summarizeErrors'),
     timeoutAsync: require('./timeoutAsync'),
     validateLoggerContract: require('./validateLoggerContract')
 };
@@ -1,15 +1,57 @@
 'use strict';
 
-const parsePayload = ({ content = null, properties: { headers = {} } = {} }) => {
+const DecompressBuffer = require('./decompressBuffer');
+
+const deserialize = (content, headers, contentType, serializers) => {
+    const serializer = contentType && serializers ? serializers.get(contentType) : undefined;
+
+    if (serializer) {
+        return serializer.deserialize(content);
+    }
+
+    if (headers.isBuffer) {
+        return content;
+    }
+
+    // an unknown content type is treated the same as a corrupted payload
+    if (contentType && serializers) {
+        throw new Error(`no serializer found for content type ${contentType}`);
+    }
+
+    return JSON.parse(content.toString());
+};
+
+// `x-death` is stamped by the broker on dead lettered messages, most recent death first
+const parseDeaths = (deaths) => {
+    return deaths.map((death) => {
+        return {
+            reason: death.reason,
+            queue: death.queue,
+            exchange: death.exchange,
+            routingKeys: death['routing-keys'],
+            count: death.count,
+            time: typeof death.time === 'number' ? new Date(death.time * 1000).toISOString() : death.time
+        };
+    });
+};
+
+const parsePayload = (
+    { content = null, properties: { headers = {}, contentType, contentEncoding } = {} },
+    serializers
+) => {
     let result = null;
 
     try {
         result = {
-            message: headers.isBuffer ? content : JSON.parse(content.toString()),
+            message: deserialize(DecompressBuffer(content, contentEncoding), headers, contentType, serializers),
             metaData: {
                 headers: Object.assign({}, headers)
             }
         };
+
+        if (Array.isArray(headers['x-death'])) {
+            result.metaData.deaths = parseDeaths(headers['x-death']);
+        }
     } catch (err) {}
 
     return result;
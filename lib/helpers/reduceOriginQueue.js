@@ -0,0 +1,16 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+const reduceOriginQueue = (headers, errorQueue) => {
+    const match = /^(.+)_(error|poison)$/.exec(errorQueue);
+
+    return (
+        Hoek.reach(headers, 'originQueue') ||
+        Hoek.reach(headers, ['x-death', 0, 'queue']) ||
+        (match && match[1]) ||
+        undefined
+    );
+};
+
+module.exports = reduceOriginQueue;
@@ -0,0 +1,19 @@
+'use strict';
+
+const Hoek = require('@hapi/hoek');
+
+const reducePartitionKey = (partitionKey, { message, metaData }) => {
+    if (typeof partitionKey === 'function') {
+        return partitionKey({ message, metaData });
+    }
+
+    if (!partitionKey) {
+        return undefined;
+    }
+
+    const fromMessage = Hoek.reach(message, partitionKey);
+
+    return fromMessage !== undefined ? fromMessage : Hoek.reach(metaData, ['headers', partitionKey]);
+};
+
+module.exports = reducePartitionKey;
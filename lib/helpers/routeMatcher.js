@@ -1,33 +1,47 @@
 'use strict';
 
-const regexPatternLookup = {};
-const regexTokenLookup = {};
-regexTokenLookup['*'] = '[\\d\\w-_*#]*';
-regexTokenLookup['#'] = '[\\d\\w-_.*#]*';
-
+// a Map, since patterns like `constructor` would read back the members of a plain object
+const patternWordsLookup = new Map();
+
+// mirrors the broker where an empty key has no words while every `.` delimits a word, even an empty one
+const splitWords = (key) => (key === '' ? [] : key.split('.'));
+
+/*
+ * Topic Route Matcher
+ * Matches a route key against a binding pattern word by word the same way a RabbitMQ topic exchange does.
+ * `*` substitutes for exactly one word and `#` substitutes for zero or more words.  Every other word,
+ * including ones containing `*`, `#` or regex metacharacters, is compared literally.
+ */
 const routeMatcher = (pattern, match) => {
-    let regex = regexPatternLookup[pattern];
+    let patternWords = patternWordsLookup.get(pattern);
+
+    if (!patternWords) {
+        // consecutive `#` words match the same as a single one
+        patternWords = splitWords(pattern).filter((word, index, words) => word !== '#' || words[index - 1] !== '#');
+        patternWordsLookup.set(pattern, patternWords);
+    }
 
-    if (!regex) {
-        const regexPattern = [];
+    const matchWords = splitWords(`${match}`);
 
-        regexPattern.push('^');
+    // matched[i] tracks if the pattern words so far match the first i route key words
+    let matched = matchWords.map(() => false);
+    matched.unshift(true);
 
-        for (const c of pattern) {
-            if (regexTokenLookup[c]) {
-                regexPattern.push(regexTokenLookup[c]);
+    for (const patternWord of patternWords) {
+        const next = [patternWord === '#' && matched[0]];
+
+        for (let i = 1; i <= matchWords.length; ++i) {
+            if (patternWord === '#') {
+                next[i] = matched[i] || next[i - 1];
             } else {
-                regexPattern.push(c);
+                next[i] = matched[i - 1] && (patternWord === '*' || patternWord === matchWords[i - 1]);
             }
         }
 
-        regexPattern.push('$');
-
-        regex = new RegExp(regexPattern.join(''));
-        regexPatternLookup[pattern] = regex;
+        matched = next;
     }
 
-    return regex.test(match);
+    return matched[matchWords.length];
 };
 
 module.exports = routeMatcher;
@@ -0,0 +1,77 @@
+'use strict';
+
+const AGE_BUCKETS = [
+    ['1m', 60 * 1000],
+    ['1h', 60 * 60 * 1000],
+    ['1d', 24 * 60 * 60 * 1000]
+];
+
+const UNKNOWN = 'unknown';
+
+// messages dead lettered by the broker carry no `erroredAt`, so fall back to the time of the latest death
+const reduceErroredAt = (headers) => {
+    if (headers.erroredAt) {
+        return Date.parse(headers.erroredAt);
+    }
+
+    const death = Array.isArray(headers['x-death']) ? headers['x-death'][0] : undefined;
+
+    return death && typeof death.time === 'number' ? death.time * 1000 : NaN;
+};
+
+const reduceAgeBucket = (age) => {
+    if (Number.isNaN(age)) {
+        return UNKNOWN;
+    }
+
+    const bucket = AGE_BUCKETS.find(([, limit]) => age < limit);
+
+    return bucket ? bucket[0] : 'older';
+};
+
+const increment = (group, key) => {
+    const name = key === undefined || key === null ? UNKNOWN : String(key);
+
+    group[name] = (group[name] || 0) + 1;
+};
+
+/*
+ * Error Summary Helper
+ * Groups the headers written by `_reject()` into counts by reason, route key, source and age.
+ */
+const summarizeErrors = (headersList, now = Date.now()) => {
+    const result = {
+        total: 0,
+        byReason: {},
+        byRouteKey: {},
+        bySource: {},
+        byAge: {},
+        oldest: undefined
+    };
+
+    let oldest = Infinity;
+
+    headersList.forEach((headers = {}) => {
+        const erroredAt = reduceErroredAt(headers);
+        const death = Array.isArray(headers['x-death']) ? headers['x-death'][0] : undefined;
+        const deathReason = death && death.reason;
+
+        ++result.total;
+        increment(result.byReason, headers.reason || deathReason);
+        increment(result.byRouteKey, headers.routeKey);
+        increment(result.bySource, headers.source);
+        increment(result.byAge, reduceAgeBucket(now - erroredAt));
+
+        if (erroredAt < oldest) {
+            oldest = erroredAt;
+        }
+    });
+
+    if (oldest !== Infinity) {
+        result.oldest = new Date(oldest).toISOString();
+    }
+
+    return result;
+};
+
+module.exports = summarizeErrors;
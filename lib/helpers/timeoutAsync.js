@@ -1,10 +1,12 @@
 'use strict';
 
+const Exceptions = require('../exceptions');
+
 const timeoutAsync = (asyncFunc, timeout = 100) => {
     return async (...args) => {
         return new Promise(async (resolve, reject) => {
             const timeoutRef = setTimeout(() => {
-                reject(new Error('Timeout occurred'));
+                reject(new Exceptions.TimeoutError());
             }, timeout);
 
             try {
@@ -5,11 +5,24 @@ const Hoek = require('@hapi/hoek');
 const Helpers = require('./helpers');
 const Exceptions = require('./exceptions');
 const { ChannelManager, ConnectionManager, SubscriptionManager } = require('./states');
-const { SerialDispatcher, ConcurrentDispatcher } = require('./schedulers');
+const { SerialDispatcher, ConcurrentDispatcher, BoundedDispatcher, KeyedDispatcher } = require('./schedulers');
 const { EventLogger } = require('./loggers');
+const { SerializerManager } = require('./serializers');
+const { ValidatorManager } = require('./validators');
 
 let singleton = undefined;
 
+// bookkeeping of a failure that should not follow a message back to its origin
+const REDRIVE_DROPPED_HEADERS = [
+    'reason',
+    'erroredAt',
+    'validationErrors',
+    'x-death',
+    'x-first-death-exchange',
+    'x-first-death-queue',
+    'x-first-death-reason'
+];
+
 class BunnyBus extends EventEmitter {
     constructor(config) {
         super();
@@ -22,11 +35,25 @@ class BunnyBus extends EventEmitter {
         this._subscriptions = new SubscriptionManager();
         this._connections = new ConnectionManager();
         this._channels = new ChannelManager();
+        this._serializers = new SerializerManager();
+        this._validators = new ValidatorManager();
+        this._publishMiddleware = [];
+        this._consumeMiddleware = [];
+        // handlers settle their own messages, so an error escaping one is only reported
+        const onDispatchError = (err) => this.logger.error(err);
+
         this._dispatchers = {
-            serial: new SerialDispatcher(),
-            concurrent: new ConcurrentDispatcher()
+            serial: new SerialDispatcher(onDispatchError),
+            concurrent: new ConcurrentDispatcher(onDispatchError),
+            bounded: new BoundedDispatcher(undefined, onDispatchError),
+            keyed: new KeyedDispatcher(undefined, onDispatchError)
         };
         this._handlerAssignmentLedger = new Map();
+        this._socketOptions = new Map();
+        this._retryQueues = new Map();
+        this._pendingReplies = new Map();
+        this._consumers = new Map();
+        this._publishWaiters = new Map();
 
         this._subscriptions.on(
             SubscriptionManager.BLOCKED_EVENT,
@@ -116,6 +143,30 @@ class BunnyBus extends EventEmitter {
         return 'bunnybus.message-requeued';
     }
 
+    static get MESSAGE_ABORTED_EVENT() {
+        return 'bunnybus.message-aborted';
+    }
+
+    static get PAUSED_EVENT() {
+        return 'bunnybus.paused';
+    }
+
+    static get RESUMED_EVENT() {
+        return 'bunnybus.resumed';
+    }
+
+    static get CONNECTION_BLOCKED_EVENT() {
+        return 'bunnybus.connection-blocked';
+    }
+
+    static get CONNECTION_UNBLOCKED_EVENT() {
+        return 'bunnybus.connection-unblocked';
+    }
+
+    static get MESSAGE_REDRIVEN_EVENT() {
+        return 'bunnybus.message-redriven';
+    }
+
     static get RECOVERING_CONNECTION_EVENT() {
         return 'bunnybus.recovering-connection';
     }
@@ -136,28 +187,65 @@ class BunnyBus extends EventEmitter {
         return 'bunnybus.recovery-failed';
     }
 
+    static get STOPPING_EVENT() {
+        return 'bunnybus.stopping';
+    }
+
+    static get DRAINED_EVENT() {
+        return 'bunnybus.drained';
+    }
+
+    static get STOPPED_EVENT() {
+        return 'bunnybus.stopped';
+    }
+
     static get DEFAULT_CONNECTION_NAME() {
         return 'default';
     }
 
+    static get PUBLISH_CONNECTION_NAME() {
+        return 'publish';
+    }
+
+    static get CONSUME_CONNECTION_NAME() {
+        return 'consume';
+    }
+
+    static get ADMIN_CONNECTION_NAME() {
+        return 'admin';
+    }
+
     static MANAGEMENT_CHANNEL_NAME() {
         return 'admin-channel';
     }
 
-    static QUEUE_CHANNEL_NAME(queue) {
-        return `send-${queue}-channel`;
+    static QUEUE_CHANNEL_NAME(queue, index = 0) {
+        return index ? `send-${queue}-channel-${index}` : `send-${queue}-channel`;
+    }
+
+    static INSPECT_CHANNEL_NAME(queue) {
+        return `inspect-${queue}-channel`;
     }
 
     static PUBLISH_CHANNEL_NAME() {
         return 'publish-channel';
     }
 
+    static REPLY_CHANNEL_NAME() {
+        return 'reply-channel';
+    }
+
+    static RETRY_QUEUE_NAME(queue, delay) {
+        return `${queue}_retry_${delay}`;
+    }
+
     get config() {
         return this._config || BunnyBus.DEFAULT_SERVER_CONFIGURATION;
     }
 
     set config(value) {
         this._config = Object.assign({}, this._config || BunnyBus.DEFAULT_SERVER_CONFIGURATION, value);
+        this._socketOptions.clear();
     }
 
     get subscriptions() {
@@ -172,6 +260,14 @@ class BunnyBus extends EventEmitter {
         return this._channels;
     }
 
+    get serializers() {
+        return this._serializers;
+    }
+
+    get validators() {
+        return this._validators;
+    }
+
     get logger() {
         return this._logger;
     }
@@ -185,7 +281,7 @@ class BunnyBus extends EventEmitter {
     }
 
     get healthy() {
-        return this.connections.healthy && this.channels.healthy;
+        return this.connections.healthy && this.channels.healthy && !this.connections.blocked;
     }
 
     get connectionString() {
@@ -195,7 +291,8 @@ class BunnyBus extends EventEmitter {
     async createExchange({ name, type, options }) {
         if (!this.config.disableExchangeCreate) {
             const channelContext = await this._autoBuildChannelContext({
-                channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME()
+                channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME(),
+                connectionName: this._resolveConnectionName(BunnyBus.ADMIN_CONNECTION_NAME)
             });
 
             //type : (direct, fanout, header, topic)
@@ -208,7 +305,10 @@ class BunnyBus extends EventEmitter {
     }
 
     async deleteExchange({ name, options }) {
-        const channelContext = await this._autoBuildChannelContext({ channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME() });
+        const channelContext = await this._autoBuildChannelContext({
+            channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME(),
+            connectionName: this._resolveConnectionName(BunnyBus.ADMIN_CONNECTION_NAME)
+        });
 
         return await channelContext.channel.deleteExchange(name, options);
     }
@@ -216,7 +316,10 @@ class BunnyBus extends EventEmitter {
     async checkExchange({ name }) {
         let result = undefined;
 
-        const channelContext = await this._autoBuildChannelContext({ channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME() });
+        const channelContext = await this._autoBuildChannelContext({
+            channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME(),
+            connectionName: this._resolveConnectionName(BunnyBus.ADMIN_CONNECTION_NAME)
+        });
         const promise = new Promise((resolve) => {
             channelContext.once(ChannelManager.AMQP_CHANNEL_CLOSE_EVENT, resolve);
         });
@@ -235,11 +338,14 @@ class BunnyBus extends EventEmitter {
         try {
             await Helpers.timeoutAsync(async () => await promise, 500)();
         } catch (err) {
-            if (err.message !== 'Timeout occurred') {
+            if (!(err instanceof Exceptions.TimeoutError)) {
                 throw err;
             }
         } finally {
-            await this._autoBuildChannelContext({ channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME() });
+            await this._autoBuildChannelContext({
+                channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME(),
+                connectionName: this._resolveConnectionName(BunnyBus.ADMIN_CONNECTION_NAME)
+            });
         }
 
         return result;
@@ -248,7 +354,8 @@ class BunnyBus extends EventEmitter {
     async createQueue({ name, options }) {
         if (!this.config.disableQueueCreate) {
             const channelContext = await this._autoBuildChannelContext({
-                channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME()
+                channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME(),
+                connectionName: this._resolveConnectionName(BunnyBus.ADMIN_CONNECTION_NAME)
             });
 
             return await channelContext.channel.assertQueue(
@@ -261,7 +368,10 @@ class BunnyBus extends EventEmitter {
     async purgeQueue({ name }) {
         let result = false;
 
-        const channelContext = await this._autoBuildChannelContext({ channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME() });
+        const channelContext = await this._autoBuildChannelContext({
+            channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME(),
+            connectionName: this._resolveConnectionName(BunnyBus.ADMIN_CONNECTION_NAME)
+        });
 
         const promise = new Promise((resolve) => {
             channelContext.once(ChannelManager.AMQP_CHANNEL_CLOSE_EVENT, resolve);
@@ -282,18 +392,24 @@ class BunnyBus extends EventEmitter {
         try {
             await Helpers.timeoutAsync(async () => await promise, 500)();
         } catch (err) {
-            if (err.message !== 'Timeout occurred') {
+            if (!(err instanceof Exceptions.TimeoutError)) {
                 throw err;
             }
         } finally {
-            await this._autoBuildChannelContext({ channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME() });
+            await this._autoBuildChannelContext({
+                channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME(),
+                connectionName: this._resolveConnectionName(BunnyBus.ADMIN_CONNECTION_NAME)
+            });
         }
 
         return result;
     }
 
     async deleteQueue({ name, options }) {
-        const channelContext = await this._autoBuildChannelContext({ channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME() });
+        const channelContext = await this._autoBuildChannelContext({
+            channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME(),
+            connectionName: this._resolveConnectionName(BunnyBus.ADMIN_CONNECTION_NAME)
+        });
 
         return await channelContext.channel.deleteQueue(name, options);
     }
@@ -302,7 +418,8 @@ class BunnyBus extends EventEmitter {
         let result = undefined;
 
         const channelContext = await this._autoBuildChannelContext({
-            channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME()
+            channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME(),
+            connectionName: this._resolveConnectionName(BunnyBus.ADMIN_CONNECTION_NAME)
         });
 
         const promise = new Promise((resolve) => {
@@ -319,50 +436,43 @@ class BunnyBus extends EventEmitter {
 
         // We want to own the process of channel recovery because calls down the chain
         // may get caught with a corrupted channel context where the channel is inoperable,
-        // but still set to the context
+        // but still set to the context.  Only a missing queue closes the channel, so there is
+        // nothing to wait for when the check passed
         try {
-            await Helpers.timeoutAsync(async () => await promise, 500);
+            if (!result) {
+                await Helpers.timeoutAsync(async () => await promise, 500)();
+            }
         } catch (err) {
-            if (err.Message !== 'Timeout occurred') {
+            if (!(err instanceof Exceptions.TimeoutError)) {
                 throw err;
             }
         } finally {
-            await this._autoBuildChannelContext({ channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME() });
+            await this._autoBuildChannelContext({
+                channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME(),
+                connectionName: this._resolveConnectionName(BunnyBus.ADMIN_CONNECTION_NAME)
+            });
         }
 
         return result;
     }
 
     async send({ message, queue, options }) {
-        const routeKey = Helpers.reduceRouteKey(null, options, message);
-        const source = options && options.source;
-
-        const convertedMessage = Helpers.convertToBuffer(message);
-        const transactionId = options && options.transactionId ? options.transactionId : Helpers.createTransactionId();
-        const [channelContext] = await Promise.all([
-            this._autoBuildChannelContext({ channelName: BunnyBus.QUEUE_CHANNEL_NAME(queue), queue }),
-            this.createQueue({ name: queue })
-        ]);
-
-        const headers = {
-            transactionId,
-            isBuffer: convertedMessage.isBuffer,
-            source,
-            routeKey,
-            createdAt: new Date().toISOString(),
-            bunnyBus: Helpers.getPackageData().version
+        const context = {
+            action: 'send',
+            message,
+            queue,
+            headers: Object.assign({}, options && options.headers),
+            options: Object.assign({}, options)
         };
 
-        const sendOptions = Helpers.buildPublishOrSendOptions(options, headers);
-
-        await channelContext.channel.sendToQueue(queue, convertedMessage.buffer, sendOptions);
-        await channelContext.channel.waitForConfirms();
+        await this._runPublishMiddleware(context, this._send.bind(this));
     }
 
     async get({ queue, options }) {
         const channelContext = await this._autoBuildChannelContext({
             channelName: BunnyBus.QUEUE_CHANNEL_NAME(queue),
-            queue
+            queue,
+            connectionName: this._resolveConnectionName(BunnyBus.CONSUME_CONNECTION_NAME)
         });
 
         return await channelContext.channel.get(queue, options);
@@ -371,6 +481,10 @@ class BunnyBus extends EventEmitter {
     async getAll({ queue, handler, options }) {
         const getOptions = options && options.get;
         const channelName = BunnyBus.QUEUE_CHANNEL_NAME(queue);
+        const rejectPoisonMessages =
+            options && options.hasOwnProperty('rejectPoisonMessages')
+                ? options.rejectPoisonMessages
+                : this.config.rejectPoisonMessages;
 
         let processing = true;
 
@@ -378,54 +492,201 @@ class BunnyBus extends EventEmitter {
             const payload = await this.get({ queue, options: getOptions });
 
             if (payload) {
-                const parsedPayload = Helpers.parsePayload(payload);
+                const parsedPayload = Helpers.parsePayload(payload, this.serializers);
 
-                // Not currently handling poison message unlike subscribe
-
-                await handler({
-                    message: parsedPayload.message,
-                    metaData: parsedPayload.metaData,
-                    ack: this._ack.bind(this, { payload, channelName })
-                });
+                if (parsedPayload) {
+                    const context = {
+                        queue,
+                        message: parsedPayload.message,
+                        metaData: parsedPayload.metaData,
+                        ack: this._ack.bind(this, { payload, channelName })
+                    };
+
+                    await this._runConsumeMiddleware(context, handler);
+                } else {
+                    const reason = `corrupted payload content intercepted`;
+                    this.logger.warn(reason);
+                    if (rejectPoisonMessages) {
+                        await this._reject({ payload, channelName, queue, errorQueue: `${queue}_poison` }, { reason });
+                    } else {
+                        const channelContext = await this._autoBuildChannelContext({ channelName });
+                        // acking this directly to channel so events don't fire
+                        await channelContext.channel.ack(payload);
+                    }
+                }
             } else {
                 processing = false;
             }
         } while (processing);
     }
 
-    async publish({ message, options }) {
-        const globalExchange = (options && options.globalExchange) || this.config.globalExchange;
-        const routeKey = Helpers.reduceRouteKey(null, options, message);
-        const source = options && options.source;
-        const headerOptions = (options && options.headers) || {};
+    async redrive({ errorQueue, targetQueue, filter, limit, resetRetryCount = false, dryRun = false }) {
+        const channelName = BunnyBus.QUEUE_CHANNEL_NAME(errorQueue);
+        const skipped = [];
+        const results = [];
 
-        if (!routeKey) {
-            throw new Exceptions.NoRouteKeyError();
+        while (limit === undefined || results.length < limit) {
+            const payload = await this.get({ queue: errorQueue });
+
+            if (!payload) {
+                break;
+            }
+
+            // poison messages are moved as they are, hoping whatever could not read them is fixed
+            const { message, metaData } = Helpers.parsePayload(payload, this.serializers) || {
+                message: payload.content,
+                metaData: { headers: Object.assign({}, payload.properties.headers) }
+            };
+            // sent straight to the queue it failed on, as publishing by routeKey again would reach every bound queue
+            const queue = targetQueue || Helpers.reduceOriginQueue(metaData.headers, errorQueue);
+            const destination = queue && { queue };
+
+            if (!destination) {
+                this.logger.warn(`message in queue (${errorQueue}) has no origin queue to redrive to`);
+            }
+
+            const selected = destination && (!filter || filter({ message, metaData }));
+
+            const moved =
+                selected && !dryRun
+                    ? await this._redrive({ payload, channelName, destination, resetRetryCount })
+                    : false;
+
+            if (!moved) {
+                // held unacknowledged until the end so get() does not hand the same message back
+                skipped.push(payload);
+            }
+
+            if (selected && (dryRun || moved)) {
+                results.push({ message, metaData, destination });
+            }
         }
 
-        const convertedMessage = Helpers.convertToBuffer(message);
-        const transactionId = options && options.transactionId ? options.transactionId : Helpers.createTransactionId();
-        const [channelContext] = await Promise.all([
-            this._autoBuildChannelContext({ channelName: BunnyBus.PUBLISH_CHANNEL_NAME() }),
+        const channelContext = await this._autoBuildChannelContext({ channelName });
+
+        skipped.forEach((payload) => channelContext.channel.nack(payload, false, true));
+
+        return results;
+    }
+
+    async inspectErrors({ queue, errorQueue, limit }) {
+        // a channel of its own, so browsing never holds back messages delivered to a consumer
+        const channelContext = await this._autoBuildChannelContext({
+            channelName: BunnyBus.INSPECT_CHANNEL_NAME(queue),
+            connectionName: this._resolveConnectionName(BunnyBus.CONSUME_CONNECTION_NAME)
+        });
+        const queues = {};
+        const headersList = [];
+        // resolved the same way _reject() picks where to send a rejected message
+        const resolvedErrorQueue = Helpers.reduceErrorQueue(
+            Hoek.reach(this.config, 'errorQueue'),
+            `${queue}_error`,
+            errorQueue
+        );
+
+        for (const name of [resolvedErrorQueue, `${queue}_poison`]) {
+            const result = await this.checkQueue({ name });
+            const browsed = [];
+
+            if (result) {
+                while (limit === undefined || browsed.length < limit) {
+                    const payload = await channelContext.channel.get(name);
+
+                    if (!payload) {
+                        break;
+                    }
+
+                    // held unacknowledged until the queue is browsed so get() does not hand the same message back
+                    browsed.push(payload);
+                    headersList.push(payload.properties.headers);
+                }
+
+                browsed.forEach((payload) => channelContext.channel.nack(payload, false, true));
+            }
+
+            queues[name] = { messageCount: result ? result.messageCount : 0, inspected: browsed.length };
+        }
+
+        return Object.assign({ queues }, Helpers.summarizeErrors(headersList));
+    }
+
+    async publish({ message, options }) {
+        const context = {
+            action: 'publish',
+            message,
+            headers: Object.assign({}, options && options.headers),
+            options: Object.assign({}, options)
+        };
+
+        await this._runPublishMiddleware(context, this._publish.bind(this));
+    }
+
+    async publishBatch({ messages, options }) {
+        const batchOptions = Object.assign({}, options, { publishConfirms: 'pipelined' });
+        const globalExchange = batchOptions.globalExchange || this.config.globalExchange;
+
+        // the channel and the exchange are set up once, so the batch only waits on the broker for its publishes
+        await Promise.all([
+            this._autoBuildChannelContext({
+                channelName: BunnyBus.PUBLISH_CHANNEL_NAME(),
+                connectionName: this._resolveConnectionName(BunnyBus.PUBLISH_CONNECTION_NAME)
+            }),
             this.createExchange({ name: globalExchange, type: 'topic' })
         ]);
 
-        const headers = {
-            transactionId,
-            isBuffer: convertedMessage.isBuffer,
-            source,
-            routeKey,
-            createdAt: new Date().toISOString(),
-            bunnyBus: Helpers.getPackageData().version,
-            ...headerOptions
-        };
+        return await Promise.all(
+            messages.map(async (message) => {
+                try {
+                    const context = {
+                        action: 'publish',
+                        message,
+                        headers: Object.assign({}, batchOptions.headers),
+                        options: Object.assign({}, batchOptions)
+                    };
+
+                    await this._runPublishMiddleware(context, (publishContext) => {
+                        return this._publish(publishContext, globalExchange);
+                    });
+
+                    return { message, published: true };
+                } catch (error) {
+                    return { message, published: false, error };
+                }
+            })
+        );
+    }
 
-        const publishOptions = Helpers.buildPublishOrSendOptions(options, headers);
+    async request({ message, queue, routeKey, options, timeout }) {
+        const requestTimeout = timeout || this.config.requestTimeout;
+        const correlationId = (options && options.correlationId) || Helpers.createTransactionId();
+        const replyTo = await this._autoBuildReplyQueue();
+        const requestOptions = Object.assign({}, options, { correlationId, replyTo });
 
-        await channelContext.channel.publish(globalExchange, routeKey, convertedMessage.buffer, publishOptions);
-        await channelContext.channel.waitForConfirms();
+        if (routeKey) {
+            requestOptions.routeKey = routeKey;
+        }
 
-        this.emit(BunnyBus.PUBLISHED_EVENT, publishOptions, message);
+        const promise = new Promise((resolve) => {
+            this._pendingReplies.set(correlationId, resolve);
+        });
+
+        try {
+            if (queue) {
+                await this.send({ message, queue, options: requestOptions });
+            } else {
+                await this.publish({ message, options: requestOptions });
+            }
+
+            return await Helpers.timeoutAsync(async () => await promise, requestTimeout)();
+        } catch (err) {
+            if (err instanceof Exceptions.TimeoutError) {
+                throw new Exceptions.RequestTimeoutError(correlationId, requestTimeout);
+            }
+
+            throw err;
+        } finally {
+            this._pendingReplies.delete(correlationId);
+        }
     }
 
     async subscribe({ queue, handlers, options }) {
@@ -442,6 +703,7 @@ class BunnyBus extends EventEmitter {
         const queueOptions = options && options.queue ? options.queue : null;
         const globalExchange = (options && options.globalExchange) || this.config.globalExchange;
         const maxRetryCount = (options && options.maxRetryCount) || this.config.maxRetryCount;
+        const retry = options && options.hasOwnProperty('retry') ? options.retry : this.config.retry;
         const validatePublisher =
             options && options.hasOwnProperty('validatePublisher')
                 ? options.validatePublisher
@@ -462,24 +724,72 @@ class BunnyBus extends EventEmitter {
             options && options.hasOwnProperty('rejectPoisonMessages')
                 ? options.rejectPoisonMessages
                 : this.config.rejectPoisonMessages;
-        const channelName = BunnyBus.QUEUE_CHANNEL_NAME(queue);
-
-        const channelContext = await this._autoBuildChannelContext({ channelName, queue });
+        const handlerMatching =
+            options && options.hasOwnProperty('handlerMatching')
+                ? options.handlerMatching
+                : this.config.handlerMatching;
+        const dispatchType = (options && options.dispatchType) || this.config.dispatchType;
+        const maxConcurrency = (options && options.maxConcurrency) || this.config.maxConcurrency;
+        const partitionKey = (options && options.partitionKey) || this.config.partitionKey;
+        const partitionLanes = (options && options.partitionLanes) || this.config.partitionLanes;
+        const autoAck = options && options.hasOwnProperty('autoAck') ? options.autoAck : this.config.autoAck;
+        const handlerTimeout =
+            options && options.hasOwnProperty('handlerTimeout') ? options.handlerTimeout : this.config.handlerTimeout;
+        const classifyError =
+            options && options.hasOwnProperty('classifyError') ? options.classifyError : this.config.classifyError;
+        const rejectMode = (options && options.rejectMode) || this.config.rejectMode;
+        const deadLetterQueue = rejectMode === 'dead-letter' ? `${queue}_error` : undefined;
+        const channelNames = this._consumerChannelNames(queue);
+
+        const channelContexts = await Promise.all(
+            channelNames.map((channelName) => {
+                return this._autoBuildChannelContext({
+                    channelName,
+                    queue,
+                    connectionName: this._resolveConnectionName(BunnyBus.CONSUME_CONNECTION_NAME)
+                });
+            })
+        );
 
         await Promise.all([
-            this.createQueue({ name: queue, options: queueOptions }),
+            this.createQueue({
+                name: queue,
+                options: deadLetterQueue
+                    ? Object.assign({ deadLetterExchange: '', deadLetterRoutingKey: deadLetterQueue }, queueOptions)
+                    : queueOptions
+            }).catch((err) => {
+                // the broker refuses to redeclare a queue with other arguments, like one created under another rejectMode
+                if (err.code === 406) {
+                    this.subscriptions.remove(queue);
+                    throw new Exceptions.QueueArgumentsMismatchError(queue);
+                }
+
+                throw err;
+            }),
+            deadLetterQueue && this.createQueue({ name: deadLetterQueue }),
             this.createExchange({ name: globalExchange, type: 'topic' })
         ]);
 
         if (!disableQueueBind) {
             await Promise.all(
-                Object.keys(handlers).map((pattern) => channelContext.channel.bindQueue(queue, globalExchange, pattern))
+                Object.keys(handlers).map((pattern) => {
+                    return channelContexts[0].channel.bindQueue(queue, globalExchange, pattern);
+                })
             );
         }
 
-        const result = await channelContext.channel.consume(queue, async (payload) => {
+        // bounded and keyed dispatch are shared by every consumer of the queue, so the limit and the order hold across them
+        if (dispatchType === 'bounded') {
+            this._dispatchers.bounded.limit(queue, maxConcurrency);
+        }
+
+        if (dispatchType === 'keyed') {
+            this._dispatchers.keyed.limit(queue, partitionLanes);
+        }
+
+        const handleMessage = async ({ channelName, channelContext }, payload) => {
             if (payload) {
-                const parsedPayload = Helpers.parsePayload(payload);
+                const parsedPayload = Helpers.parsePayload(payload, this.serializers);
                 const errorQueue = `${queue}_error`;
                 const poisonQueue = `${queue}_poison`;
 
@@ -487,8 +797,10 @@ class BunnyBus extends EventEmitter {
                     const routeKey = Helpers.reduceRouteKey(payload, null, parsedPayload.message);
                     const currentRetryCount = payload.properties.headers.retryCount || -1;
 
-                    const matchedHandlers = Helpers.handlerMatcher(handlers, routeKey);
+                    const matchedHandlers = Helpers.handlerMatcher(handlers, routeKey, handlerMatching);
                     if (parsedPayload && matchedHandlers.length > 0) {
+                        const validationErrors = this.validators.validate(routeKey, parsedPayload.message);
+
                         // check for `bunnyBus` header first
                         if (
                             validatePublisher &&
@@ -496,7 +808,10 @@ class BunnyBus extends EventEmitter {
                         ) {
                             const reason = 'message not of BunnyBus origin';
                             this.logger.warn(reason);
-                            await this._reject({ payload, channelName, errorQueue }, { reason });
+                            await this._reject(
+                                { payload, channelName, queue, errorQueue, deadLetterQueue },
+                                { reason }
+                            );
                         }
                         // check for `bunnyBus`:<version> semver
                         else if (
@@ -506,39 +821,104 @@ class BunnyBus extends EventEmitter {
                         ) {
                             const reason = `message came from older bunnyBus version (${payload.properties.headers.bunnyBus})`;
                             this.logger.warn(reason);
-                            await this._reject({ payload, channelName, errorQueue }, { reason });
+                            await this._reject(
+                                { payload, channelName, queue, errorQueue, deadLetterQueue },
+                                { reason }
+                            );
+                        } else if (validationErrors.length > 0) {
+                            const reason = `message failed validation for routeKey (${routeKey})`;
+                            this.logger.warn(reason);
+                            await this._reject(
+                                { payload, channelName, queue, errorQueue, deadLetterQueue },
+                                { reason, validationErrors }
+                            );
                         } else if (currentRetryCount < maxRetryCount) {
-                            matchedHandlers.forEach(async (matchedHandler) => {
-                                this._dispatchers[this.config.dispatchType].push(queue, async () => {
-                                    this.emit(
-                                        BunnyBus.MESSAGE_DISPATCHED_EVENT,
-                                        parsedPayload.metaData,
-                                        parsedPayload.message
+                            // handlers sharing a message settle it together once every one of them has decided
+                            const settlements = Helpers.aggregateSettlement(matchedHandlers.length, {
+                                ack: this._ack.bind(this, { payload, channelName }),
+                                rej: this._reject.bind(this, {
+                                    payload,
+                                    channelName,
+                                    queue,
+                                    errorQueue,
+                                    deadLetterQueue
+                                }),
+                                requeue: this._requeue.bind(this, {
+                                    payload,
+                                    channelName,
+                                    queue,
+                                    retry
+                                })
+                            });
+
+                            let partition = undefined;
+
+                            if (dispatchType === 'keyed') {
+                                // a message that can not be given a partition can not be kept in order, so it is not dispatched
+                                try {
+                                    partition = Helpers.reducePartitionKey(partitionKey, parsedPayload);
+                                } catch (err) {
+                                    const reason = `partitionKey failed for routeKey (${routeKey}) : ${err.message}`;
+                                    this.logger.warn(reason);
+                                    await this._reject(
+                                        { payload, channelName, queue, errorQueue, deadLetterQueue },
+                                        { reason }
                                     );
 
-                                    await matchedHandler({
-                                        message: parsedPayload.message,
-                                        metaData: parsedPayload.metaData,
-                                        ack: this._ack.bind(this, { payload, channelName }),
-                                        rej: this._reject.bind(this, { payload, channelName, errorQueue }),
-                                        requeue: this._requeue.bind(this, {
-                                            payload,
-                                            channelName,
-                                            queue
-                                        })
-                                    });
-                                });
+                                    return;
+                                }
+                            }
+
+                            // serial dispatch keeps each consumer in single file, so consumers still run side by side
+                            const dispatchName = dispatchType === 'serial' ? channelName : queue;
+
+                            matchedHandlers.forEach(async (matchedHandler, index) => {
+                                this._dispatchers[dispatchType].push(
+                                    dispatchName,
+                                    async () => {
+                                        this.emit(
+                                            BunnyBus.MESSAGE_DISPATCHED_EVENT,
+                                            parsedPayload.metaData,
+                                            parsedPayload.message
+                                        );
+
+                                        const context = {
+                                            queue,
+                                            message: parsedPayload.message,
+                                            metaData: parsedPayload.metaData,
+                                            ack: settlements[index].ack,
+                                            rej: settlements[index].rej,
+                                            reply: this._reply.bind(this, { payload, channelName }),
+                                            requeue: settlements[index].requeue
+                                        };
+
+                                        if (autoAck) {
+                                            await this._runAutoAck({ context, handlerTimeout, classifyError }, () =>
+                                                this._runConsumeMiddleware(context, matchedHandler)
+                                            );
+                                        } else {
+                                            await this._runConsumeMiddleware(context, matchedHandler);
+                                        }
+                                    },
+                                    partition
+                                );
                             });
                         } else {
                             const reason = `message passed retry limit of ${maxRetryCount} for routeKey (${routeKey})`;
                             this.logger.warn(reason);
-                            await this._reject({ payload, channelName, errorQueue }, { reason });
+                            await this._reject(
+                                { payload, channelName, queue, errorQueue, deadLetterQueue },
+                                { reason }
+                            );
                         }
                     } else {
                         const reason = `message consumed with no matching routeKey (${routeKey}) handler`;
                         this.logger.warn(reason);
                         if (rejectUnroutedMessages) {
-                            await this._reject({ payload, channelName, errorQueue }, { reason });
+                            await this._reject(
+                                { payload, channelName, queue, errorQueue, deadLetterQueue },
+                                { reason }
+                            );
                         } else {
                             // acking this directly to channel so events don't fire
                             await channelContext.channel.ack(payload);
@@ -548,27 +928,59 @@ class BunnyBus extends EventEmitter {
                     const reason = `corrupted payload content intercepted`;
                     this.logger.warn(reason);
                     if (rejectPoisonMessages) {
-                        await this._reject({ payload, channelName, errorQueue: poisonQueue }, { reason });
+                        await this._reject({ payload, channelName, queue, errorQueue: poisonQueue }, { reason });
                     } else {
                         // acking this directly to channel so events don't fire
                         await channelContext.channel.ack(payload);
                     }
                 }
             }
-        });
+        };
+
+        // amqplib ignores the promise returned to it, so a failure settling the message is only reported
+        const onMessage = async (consumer, payload) => {
+            try {
+                await handleMessage(consumer, payload);
+            } catch (err) {
+                this.logger.error(err);
+            }
+        };
+
+        // kept so resume() can restart delivery without setting the queue up again
+        this._consumers.set(queue, onMessage);
 
-        if (result && result.consumerTag) {
-            this.subscriptions.tag(queue, result.consumerTag);
+        const consumerTags = await this._startConsumers(queue);
+
+        if (Object.keys(consumerTags).length) {
+            this.subscriptions.tag(queue, consumerTags);
+            this.subscriptions.resume(queue);
             this.emit(BunnyBus.SUBSCRIBED_EVENT, queue);
         }
     }
 
     async unsubscribe({ queue }) {
-        const channelContext = await this._autoBuildChannelContext({ channelName: BunnyBus.QUEUE_CHANNEL_NAME(queue) });
+        const paused = this.subscriptions.isPaused(queue);
+
+        if (this.subscriptions.contains(queue) || paused) {
+            // a paused queue has no consumers left to stop, but resume() must not bring it back
+            if (paused) {
+                this.subscriptions.resume(queue);
+            } else {
+                await this._stopConsumers(queue);
+            }
+
+            if (this._cancelDispatch(queue)) {
+                // cancelled messages are still unacknowledged on the channels, once the in-flight ones
+                // have settled the broker is asked to redeliver whatever is left
+                await this._drainDispatch(queue);
+                await Promise.all(
+                    this._consumerChannelNames(queue)
+                        .map((channelName) => this.channels.getChannel(channelName))
+                        .filter((channel) => channel)
+                        .map((channel) => channel.recover())
+                );
+            }
 
-        if (this.subscriptions.contains(queue)) {
-            await channelContext.channel.cancel(this.subscriptions.get(queue).consumerTag);
-            this.subscriptions.clear(queue);
             this.emit(BunnyBus.UNSUBSCRIBED_EVENT, queue);
         }
     }
@@ -577,89 +989,679 @@ class BunnyBus extends EventEmitter {
         if (
             this.subscriptions.contains(queue, false) &&
             !this.subscriptions.contains(queue, true) &&
-            !this.subscriptions.isBlocked(queue)
+            !this.subscriptions.isBlocked(queue) &&
+            !this.subscriptions.isPaused(queue)
         ) {
             const { handlers, options } = this.subscriptions.get(queue);
             await this.subscribe({ queue, handlers, options });
         }
     }
 
-    async stop() {
-        this.subscriptions.list().map((subscription) => this.subscriptions.remove(subscription.queue));
-        await Promise.allSettled(this.channels.list().map((context) => this.channels.remove(context.name)));
-        await Promise.allSettled(this.connections.list().map((context) => this.connections.remove(context.name)));
+    async pause({ queue } = {}) {
+        if (queue === undefined) {
+            await Promise.all(
+                this.subscriptions.list().map((subscription) => this.pause({ queue: subscription.queue }))
+            );
+
+            return;
+        }
+
+        if (this.subscriptions.contains(queue)) {
+            // messages already delivered keep flowing through the dispatcher, only new deliveries stop
+            await this._stopConsumers(queue);
+            this.subscriptions.pause(queue);
+            this.emit(BunnyBus.PAUSED_EVENT, queue);
+        }
     }
 
-    //options to store calling module, queue name
-    async _ack({ payload, channelName }, options) {
-        const channelContext = await this._autoBuildChannelContext({ channelName });
+    async resume({ queue } = {}) {
+        if (queue === undefined) {
+            await Promise.all(
+                this.subscriptions
+                    .list()
+                    .filter((subscription) => subscription.paused && !this.subscriptions.isBlocked(subscription.queue))
+                    .map((subscription) => this.resume({ queue: subscription.queue }))
+            );
 
-        await channelContext.channel.ack(payload);
+            return;
+        }
 
-        const parsedPayload = Helpers.parsePayload(payload);
-        parsedPayload.metaData.headers.ackedAt = new Date().toISOString();
+        if (this.subscriptions.isBlocked(queue)) {
+            throw new Exceptions.SubscriptionBlockedError(queue);
+        }
 
-        this.emit(BunnyBus.MESSAGE_ACKED_EVENT, parsedPayload.metaData, parsedPayload.message);
-    }
+        if (this.subscriptions.isPaused(queue)) {
+            const consumerTags = await this._startConsumers(queue);
 
-    async _requeue({ payload, channelName, queue }, options) {
-        const channelContext = await this._autoBuildChannelContext({ channelName });
+            if (Object.keys(consumerTags).length) {
+                this.subscriptions.tag(queue, consumerTags);
+                this.subscriptions.resume(queue);
+                this.emit(BunnyBus.RESUMED_EVENT, queue);
+            }
+        }
+    }
 
-        const routeKey = Helpers.reduceRouteKey(payload, options);
+    depth({ queue }) {
+        return this._dispatchNames(queue).reduce((count, dispatchName) => {
+            return Object.values(this._dispatchers).reduce(
+                (sum, dispatcher) => sum + dispatcher.depth(dispatchName),
+                count
+            );
+        }, 0);
+    }
 
-        const headers = {
-            transactionId: payload.properties.headers.transactionId,
-            isBuffer: payload.properties.headers.isBuffer,
-            source: payload.properties.headers.source,
-            createdAt: payload.properties.headers.createdAt,
-            requeuedAt: new Date().toISOString(),
-            retryCount: payload.properties.headers.retryCount || 0,
-            bunnyBus: Helpers.getPackageData().version,
-            routeKey
-        };
-        const sendOptions = Helpers.buildPublishOrSendOptions(options, headers);
+    async drain({ queue }) {
+        await this._drainDispatch(queue);
+    }
 
-        ++sendOptions.headers.retryCount;
+    usePublish(middleware) {
+        if (typeof middleware !== 'function') {
+            throw new Exceptions.IncompatibleMiddlewareError();
+        }
 
-        await channelContext.channel.sendToQueue(queue, payload.content, sendOptions);
-        await channelContext.channel.waitForConfirms();
-        await channelContext.channel.ack(payload);
+        this._publishMiddleware.push(middleware);
+    }
 
-        const parsedPayload = Helpers.parsePayload(payload);
-        parsedPayload.metaData.headers = Object.assign(parsedPayload.metaData.headers, headers);
+    useConsume(middleware) {
+        if (typeof middleware !== 'function') {
+            throw new Exceptions.IncompatibleMiddlewareError();
+        }
 
-        this.emit(BunnyBus.MESSAGE_REQUEUED_EVENT, parsedPayload.metaData, parsedPayload.message);
+        this._consumeMiddleware.push(middleware);
     }
 
-    async _reject({ payload, channelName, errorQueue }, options) {
-        const channelContext = await this._autoBuildChannelContext({ channelName });
+    async stop({ drainTimeout = this.config.drainTimeout } = {}) {
+        this.emit(BunnyBus.STOPPING_EVENT, drainTimeout);
 
-        const queue = Helpers.reduceErrorQueue(
-            Hoek.reach(this.config, 'errorQueue'),
-            errorQueue,
-            Hoek.reach(options, 'errorQueue')
+        const subscriptions = this.subscriptions.list();
+
+        // stop deliveries first so nothing new lands in the dispatchers while they drain
+        await Promise.allSettled(
+            subscriptions.filter(({ consumerTag }) => consumerTag).map(({ queue }) => this._stopConsumers(queue))
+        );
+        await Promise.allSettled(subscriptions.map(({ queue }) => this._drainOnStop(queue, drainTimeout)));
+        await Promise.allSettled(
+            this.channels
+                .list()
+                .filter(({ channel }) => channel)
+                .map(({ channel }) => channel.waitForConfirms())
         );
 
-        const headers = {
-            transactionId: payload.properties.headers.transactionId,
-            isBuffer: payload.properties.headers.isBuffer,
-            source: payload.properties.headers.source,
-            createdAt: payload.properties.headers.createdAt,
-            requeuedAt: payload.properties.headers.requeuedAt,
-            erroredAt: new Date().toISOString(),
-            retryCount: payload.properties.headers.retryCount || 0,
-            bunnyBus: Helpers.getPackageData().version,
-            reason: Hoek.reach(options, 'reason')
-        };
+        subscriptions.forEach(({ queue }) => {
+            this.subscriptions.remove(queue);
+            this._consumers.delete(queue);
+        });
+        await Promise.allSettled(this.channels.list().map((context) => this.channels.remove(context.name)));
+        await Promise.allSettled(this.connections.list().map((context) => this.connections.remove(context.name)));
+        this._retryQueues.clear();
 
-        const sendOptions = Helpers.buildPublishOrSendOptions(options, headers);
+        this.emit(BunnyBus.STOPPED_EVENT);
+    }
 
-        await this.createQueue({ name: queue });
-        await channelContext.channel.sendToQueue(queue, payload.content, sendOptions);
-        await channelContext.channel.waitForConfirms();
-        await channelContext.channel.ack(payload);
+    _consumerChannelNames(queue) {
+        const consumerCount = Hoek.reach(this.subscriptions.get(queue), 'options.consumerCount') || 1;
 
-        let parsedPayload = Helpers.parsePayload(payload);
+        return Array.from({ length: consumerCount }, (_, index) => BunnyBus.QUEUE_CHANNEL_NAME(queue, index));
+    }
+
+    async _startConsumers(queue) {
+        const onMessage = this._consumers.get(queue);
+        const { options } = this.subscriptions.get(queue);
+        const dispatchType = (options && options.dispatchType) || this.config.dispatchType;
+        const maxConcurrency = (options && options.maxConcurrency) || this.config.maxConcurrency;
+
+        const results = await Promise.all(
+            this._consumerChannelNames(queue).map(async (channelName) => {
+                const channelContext = await this._autoBuildChannelContext({
+                    channelName,
+                    queue,
+                    connectionName: this._resolveConnectionName(BunnyBus.CONSUME_CONNECTION_NAME)
+                });
+
+                // the broker holds back deliveries until a slot frees up, set on every start since resume may land on a new channel
+                if (dispatchType === 'bounded') {
+                    await channelContext.channel.prefetch(maxConcurrency);
+                }
+
+                const result = await channelContext.channel.consume(
+                    queue,
+                    onMessage.bind(null, { channelName, channelContext })
+                );
+
+                return [channelName, result && result.consumerTag];
+            })
+        );
+
+        // keyed by channel name, since a consumer that failed to start leaves no tag behind
+        return results
+            .filter(([, consumerTag]) => consumerTag)
+            .reduce((consumerTags, [channelName, consumerTag]) => {
+                consumerTags[channelName] = consumerTag;
+                return consumerTags;
+            }, {});
+    }
+
+    async _stopConsumers(queue) {
+        const { consumerTags } = this.subscriptions.get(queue);
+
+        // a consumer on a channel that already closed went away with it
+        await Promise.allSettled(
+            Object.entries(consumerTags).map(([channelName, consumerTag]) => {
+                const channel = this.channels.getChannel(channelName);
+
+                return channel && channel.cancel(consumerTag);
+            })
+        );
+
+        this.subscriptions.clear(queue);
+    }
+
+    _dispatchNames(queue) {
+        // serial dispatch is named after the channel of each consumer, the others after the queue
+        return [queue, ...this._consumerChannelNames(queue)];
+    }
+
+    _cancelDispatch(queue) {
+        return this._dispatchNames(queue).reduce((count, dispatchName) => {
+            return Object.values(this._dispatchers).reduce(
+                (sum, dispatcher) => sum + dispatcher.cancel(dispatchName),
+                count
+            );
+        }, 0);
+    }
+
+    async _drainDispatch(queue) {
+        await Promise.all(
+            this._dispatchNames(queue).map((dispatchName) => {
+                return Promise.all(
+                    Object.values(this._dispatchers).map((dispatcher) => dispatcher.drain(dispatchName))
+                );
+            })
+        );
+    }
+
+    async _drainOnStop(queue, drainTimeout) {
+        let timedOut = false;
+
+        if (drainTimeout > 0) {
+            try {
+                await Helpers.timeoutAsync(() => this._drainDispatch(queue), drainTimeout)();
+            } catch (err) {
+                if (err instanceof Exceptions.TimeoutError) {
+                    timedOut = true;
+                    this.logger.warn(`drain of queue (${queue}) exceeded timeout of ${drainTimeout}ms`);
+                } else {
+                    this.logger.error(err);
+                }
+            }
+        }
+
+        // closing the channels hands whatever was not dispatched in time back to the broker
+        const cancelled = this._cancelDispatch(queue);
+
+        this.emit(BunnyBus.DRAINED_EVENT, queue, { cancelled, timedOut });
+    }
+
+    async _publish({ message, headers: headerOptions, options }, assertedExchange) {
+        const globalExchange = (options && options.globalExchange) || this.config.globalExchange;
+        const routeKey = Helpers.reduceRouteKey(null, options, message);
+        const source = options && options.source;
+
+        if (!routeKey) {
+            throw new Exceptions.NoRouteKeyError();
+        }
+
+        this._validateMessage(routeKey, message);
+
+        const convertedMessage = Helpers.convertToBuffer(message, options && options.contentType, this.serializers);
+        const compressedMessage = Helpers.compressBuffer(convertedMessage.buffer, this._resolveCompression(options));
+        const transactionId = options && options.transactionId ? options.transactionId : Helpers.createTransactionId();
+        const [channelContext] = await Promise.all([
+            this._autoBuildChannelContext({
+                channelName: BunnyBus.PUBLISH_CHANNEL_NAME(),
+                connectionName: this._resolveConnectionName(BunnyBus.PUBLISH_CONNECTION_NAME)
+            }),
+            globalExchange !== assertedExchange && this.createExchange({ name: globalExchange, type: 'topic' })
+        ]);
+
+        const headers = {
+            transactionId,
+            isBuffer: convertedMessage.isBuffer,
+            source,
+            routeKey,
+            createdAt: new Date().toISOString(),
+            bunnyBus: Helpers.getPackageData().version,
+            ...headerOptions
+        };
+
+        const publishOptions = Helpers.buildPublishOrSendOptions(
+            Object.assign(
+                {},
+                options,
+                compressedMessage.contentEncoding && { contentEncoding: compressedMessage.contentEncoding }
+            ),
+            headers
+        );
+
+        await this._confirm(channelContext, options, (callback) => {
+            return channelContext.channel.publish(
+                globalExchange,
+                routeKey,
+                compressedMessage.buffer,
+                publishOptions,
+                callback
+            );
+        });
+
+        this.emit(BunnyBus.PUBLISHED_EVENT, publishOptions, message);
+    }
+
+    async _send({ message, queue, headers: headerOptions, options }) {
+        const routeKey = Helpers.reduceRouteKey(null, options, message);
+        const source = options && options.source;
+
+        const connectionName = this._resolveConnectionName(BunnyBus.PUBLISH_CONNECTION_NAME);
+        // a dedicated publish connection can not share the channel the queue is consumed on
+        const channelContextOptions =
+            connectionName === this._resolveConnectionName(BunnyBus.CONSUME_CONNECTION_NAME)
+                ? { channelName: BunnyBus.QUEUE_CHANNEL_NAME(queue), queue, connectionName }
+                : { channelName: BunnyBus.PUBLISH_CHANNEL_NAME(), connectionName };
+
+        if (routeKey) {
+            this._validateMessage(routeKey, message);
+        }
+
+        const convertedMessage = Helpers.convertToBuffer(message, options && options.contentType, this.serializers);
+        const compressedMessage = Helpers.compressBuffer(convertedMessage.buffer, this._resolveCompression(options));
+        const transactionId = options && options.transactionId ? options.transactionId : Helpers.createTransactionId();
+        const [channelContext] = await Promise.all([
+            this._autoBuildChannelContext(channelContextOptions),
+            this.createQueue({ name: queue })
+        ]);
+
+        const headers = {
+            transactionId,
+            isBuffer: convertedMessage.isBuffer,
+            source,
+            routeKey,
+            createdAt: new Date().toISOString(),
+            bunnyBus: Helpers.getPackageData().version,
+            ...headerOptions
+        };
+
+        const sendOptions = Helpers.buildPublishOrSendOptions(
+            Object.assign(
+                {},
+                options,
+                compressedMessage.contentEncoding && { contentEncoding: compressedMessage.contentEncoding }
+            ),
+            headers
+        );
+
+        await this._confirm(channelContext, options, (callback) => {
+            return channelContext.channel.sendToQueue(queue, compressedMessage.buffer, sendOptions, callback);
+        });
+    }
+
+    async _confirm(channelContext, options, delegate) {
+        const publishConfirms = (options && options.publishConfirms) || this.config.publishConfirms;
+
+        await this._waitForUnblocked(channelContext.connectionContext, options);
+        await this._acquirePublish(channelContext, options);
+
+        try {
+            if (publishConfirms === 'pipelined') {
+                // only this message is awaited, so concurrent calls share their round trips to the broker
+                return await new Promise((resolve, reject) => {
+                    channelContext.writable = delegate((err) => (err ? reject(err) : resolve()));
+                });
+            }
+
+            channelContext.writable = delegate();
+            await channelContext.channel.waitForConfirms();
+        } finally {
+            --channelContext.pendingPublishes;
+            this._wakePublishWaiters(channelContext);
+        }
+    }
+
+    async _waitForUnblocked(connectionContext, options) {
+        if (!connectionContext.blocked) {
+            return;
+        }
+
+        const blockedMode = (options && options.blockedMode) || this.config.blockedMode;
+        const blockedTimeout =
+            options && options.hasOwnProperty('blockedTimeout') ? options.blockedTimeout : this.config.blockedTimeout;
+
+        if (blockedMode === 'reject') {
+            throw new Exceptions.ConnectionBlockedError(connectionContext.name);
+        }
+
+        let release = undefined;
+
+        // a closed connection takes its alarm with it, so the publish goes ahead on the next one
+        const unblocked = new Promise((resolve) => {
+            release = resolve;
+            connectionContext.once(ConnectionManager.AMQP_CONNECTION_UNBLOCKED_EVENT, release);
+            connectionContext.once(ConnectionManager.AMQP_CONNECTION_CLOSE_EVENT, release);
+        });
+
+        try {
+            if (blockedTimeout) {
+                await Helpers.timeoutAsync(() => unblocked, blockedTimeout)();
+            } else {
+                await unblocked;
+            }
+        } catch (err) {
+            throw new Exceptions.ConnectionBlockedError(connectionContext.name);
+        } finally {
+            connectionContext.removeListener(ConnectionManager.AMQP_CONNECTION_UNBLOCKED_EVENT, release);
+            connectionContext.removeListener(ConnectionManager.AMQP_CONNECTION_CLOSE_EVENT, release);
+        }
+    }
+
+    async _acquirePublish(channelContext, options) {
+        const maxPendingPublishes =
+            options && options.hasOwnProperty('maxPendingPublishes')
+                ? options.maxPendingPublishes
+                : this.config.maxPendingPublishes;
+        const backpressureMode = (options && options.backpressureMode) || this.config.backpressureMode;
+        const isFull = () => maxPendingPublishes && channelContext.pendingPublishes >= maxPendingPublishes;
+
+        if (isFull() && backpressureMode === 'reject') {
+            throw new Exceptions.PublishBackpressureError(channelContext.name, maxPendingPublishes);
+        }
+
+        while (isFull()) {
+            await this._waitForPublishWaiters(channelContext);
+        }
+
+        // counted from here, so callers held back by a full write buffer are pending too
+        ++channelContext.pendingPublishes;
+
+        while (!channelContext.writable) {
+            await this._waitForPublishWaiters(channelContext);
+        }
+    }
+
+    _waitForPublishWaiters(channelContext) {
+        if (!this._publishWaiters.has(channelContext.name)) {
+            this._publishWaiters.set(channelContext.name, []);
+        }
+
+        return new Promise((resolve) => this._publishWaiters.get(channelContext.name).push(resolve));
+    }
+
+    _wakePublishWaiters(channelContext) {
+        const waiters = this._publishWaiters.get(channelContext.name);
+
+        // every waiter checks again for itself whether it can go ahead
+        if (waiters) {
+            this._publishWaiters.delete(channelContext.name);
+            waiters.forEach((resolve) => resolve());
+        }
+    }
+
+    //options to store calling module, queue name
+    async _ack({ payload, channelName }, options) {
+        const channelContext = await this._autoBuildChannelContext({ channelName });
+
+        await channelContext.channel.ack(payload);
+
+        const parsedPayload = Helpers.parsePayload(payload, this.serializers);
+        parsedPayload.metaData.headers.ackedAt = new Date().toISOString();
+
+        this.emit(BunnyBus.MESSAGE_ACKED_EVENT, parsedPayload.metaData, parsedPayload.message);
+    }
+
+    async _requeue({ payload, channelName, queue, retry = null }, options) {
+        const channelContext = await this._autoBuildChannelContext({ channelName });
+
+        const { contentType } = payload.properties;
+        const routeKey = Helpers.reduceRouteKey(payload, options);
+        const retryCount = payload.properties.headers.retryCount || 0;
+        const retryDelay = Helpers.calculateRetryDelay(retry, retryCount);
+
+        const headers = {
+            transactionId: payload.properties.headers.transactionId,
+            isBuffer: payload.properties.headers.isBuffer,
+            source: payload.properties.headers.source,
+            createdAt: payload.properties.headers.createdAt,
+            requeuedAt: new Date().toISOString(),
+            retryCount,
+            retryDelay: retryDelay || undefined,
+            bunnyBus: Helpers.getPackageData().version,
+            routeKey
+        };
+
+        // delayed retries are parked in a wait queue that dead letters back into the origin queue once the ttl lapses
+        const targetQueue = retryDelay ? await this._createRetryQueue({ queue, retryDelay }) : queue;
+        const parsedPayload = Helpers.parsePayload(payload, this.serializers);
+        const message = parsedPayload ? parsedPayload.message : payload.content;
+        const context = {
+            action: 'requeue',
+            message,
+            queue: targetQueue,
+            headers: {},
+            options: Object.assign({}, options)
+        };
+
+        const published = await this._runPublishMiddleware(context, async (republish) => {
+            const encoded = this._encodeRepublish(payload, message, republish);
+            const sendOptions = Helpers.buildPublishOrSendOptions(
+                Object.assign({ contentType, contentEncoding: encoded.contentEncoding }, republish.options),
+                Object.assign(headers, { isBuffer: encoded.isBuffer }, republish.headers)
+            );
+
+            ++sendOptions.headers.retryCount;
+
+            await channelContext.channel.sendToQueue(republish.queue, encoded.buffer, sendOptions);
+            await channelContext.channel.waitForConfirms();
+        });
+
+        if (!published) {
+            await this._abortRepublish({ payload, channelContext, parsedPayload, action: 'requeue' });
+            return;
+        }
+
+        await channelContext.channel.ack(payload);
+
+        parsedPayload.metaData.headers = Object.assign(parsedPayload.metaData.headers, headers);
+
+        this.emit(BunnyBus.MESSAGE_REQUEUED_EVENT, parsedPayload.metaData, parsedPayload.message);
+    }
+
+    async _redrive({ payload, channelName, destination, resetRetryCount }) {
+        const channelContext = await this._autoBuildChannelContext({ channelName });
+        const [publishChannelContext] = await Promise.all([
+            this._autoBuildChannelContext({
+                channelName: BunnyBus.PUBLISH_CHANNEL_NAME(),
+                connectionName: this._resolveConnectionName(BunnyBus.PUBLISH_CONNECTION_NAME)
+            }),
+            this.createQueue({ name: destination.queue })
+        ]);
+
+        const { contentType } = payload.properties;
+        const headers = Object.assign({}, payload.properties.headers, {
+            redrivenAt: new Date().toISOString(),
+            bunnyBus: Helpers.getPackageData().version
+        });
+
+        REDRIVE_DROPPED_HEADERS.forEach((header) => delete headers[header]);
+
+        if (resetRetryCount) {
+            headers.retryCount = 0;
+        }
+
+        let parsedPayload = Helpers.parsePayload(payload, this.serializers);
+        const message = parsedPayload ? parsedPayload.message : payload.content;
+        const context = {
+            action: 'redrive',
+            message,
+            queue: destination.queue,
+            headers: {},
+            options: {}
+        };
+
+        const published = await this._runPublishMiddleware(context, async (republish) => {
+            const encoded = this._encodeRepublish(payload, message, republish);
+            const sendOptions = Helpers.buildPublishOrSendOptions(
+                Object.assign({ contentType, contentEncoding: encoded.contentEncoding }, republish.options),
+                Object.assign(headers, { isBuffer: encoded.isBuffer }, republish.headers)
+            );
+
+            await publishChannelContext.channel.sendToQueue(republish.queue, encoded.buffer, sendOptions);
+            await publishChannelContext.channel.waitForConfirms();
+        });
+
+        // left for redrive() to hand back along with the messages it skipped
+        if (!published) {
+            this.logger.warn(
+                `redrive of message with transactionId (${payload.properties.headers.transactionId}) aborted by middleware`
+            );
+            return false;
+        }
+
+        await channelContext.channel.ack(payload);
+
+        if (parsedPayload) {
+            parsedPayload.metaData.headers = Object.assign(parsedPayload.metaData.headers, headers);
+        } else {
+            parsedPayload = {};
+        }
+
+        this.emit(BunnyBus.MESSAGE_REDRIVEN_EVENT, parsedPayload.metaData, parsedPayload.message);
+
+        return true;
+    }
+
+    _encodeRepublish(payload, message, republish) {
+        const { contentType, contentEncoding } = payload.properties;
+
+        // a message left as it was consumed goes out as the same bytes, so it is never serialized or compressed twice
+        if (republish.message === message) {
+            return { buffer: payload.content, contentEncoding, isBuffer: payload.properties.headers.isBuffer };
+        }
+
+        const convertedMessage = Helpers.convertToBuffer(republish.message, contentType, this.serializers);
+        const compressedMessage = Helpers.compressBuffer(
+            convertedMessage.buffer,
+            this._resolveCompression(republish.options)
+        );
+
+        return {
+            buffer: compressedMessage.buffer,
+            contentEncoding: compressedMessage.contentEncoding,
+            isBuffer: convertedMessage.isBuffer
+        };
+    }
+
+    async _abortRepublish({ payload, channelContext, parsedPayload, action }) {
+        // redelivering the original unchanged would only run it into the same abort again, so the abort is final
+        this.logger.warn(
+            `${action} of message with transactionId (${payload.properties.headers.transactionId}) aborted by middleware`
+        );
+
+        await channelContext.channel.ack(payload);
+
+        const { metaData, message } = parsedPayload || {};
+
+        this.emit(BunnyBus.MESSAGE_ABORTED_EVENT, metaData, message, action);
+    }
+
+    async _createRetryQueue({ queue, retryDelay }) {
+        const name = BunnyBus.RETRY_QUEUE_NAME(queue, retryDelay);
+
+        // retry queues are internal, so they are declared even with disableQueueCreate since a message sent to a
+        // missing one is dropped, and only once each so a delayed requeue costs no more round trips than any other
+        if (!this._retryQueues.has(name)) {
+            const asserted = (async () => {
+                const channelContext = await this._autoBuildChannelContext({
+                    channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME(),
+                    connectionName: this._resolveConnectionName(BunnyBus.ADMIN_CONNECTION_NAME)
+                });
+
+                await channelContext.channel.assertQueue(
+                    name,
+                    Object.assign({}, BunnyBus.DEFAULT_QUEUE_CONFIGURATION, {
+                        arguments: {
+                            'x-message-ttl': retryDelay,
+                            'x-dead-letter-exchange': '',
+                            'x-dead-letter-routing-key': queue
+                        }
+                    })
+                );
+            })();
+
+            this._retryQueues.set(name, asserted);
+            asserted.catch(() => this._retryQueues.delete(name));
+        }
+
+        await this._retryQueues.get(name);
+
+        return name;
+    }
+
+    async _reject({ payload, channelName, queue, errorQueue, deadLetterQueue }, options) {
+        const channelContext = await this._autoBuildChannelContext({ channelName });
+        const { contentType } = payload.properties;
+
+        const destinationQueue = Helpers.reduceErrorQueue(
+            Hoek.reach(this.config, 'errorQueue'),
+            errorQueue,
+            Hoek.reach(options, 'errorQueue')
+        );
+
+        const headers = {
+            transactionId: payload.properties.headers.transactionId,
+            isBuffer: payload.properties.headers.isBuffer,
+            source: payload.properties.headers.source,
+            createdAt: payload.properties.headers.createdAt,
+            requeuedAt: payload.properties.headers.requeuedAt,
+            erroredAt: new Date().toISOString(),
+            retryCount: payload.properties.headers.retryCount || 0,
+            bunnyBus: Helpers.getPackageData().version,
+            routeKey: payload.properties.headers.routeKey,
+            originQueue: queue || payload.properties.headers.originQueue,
+            reason: Hoek.reach(options, 'reason'),
+            validationErrors: Hoek.reach(options, 'validationErrors')
+        };
+
+        let parsedPayload = Helpers.parsePayload(payload, this.serializers);
+        const message = parsedPayload ? parsedPayload.message : payload.content;
+        const context = {
+            action: 'reject',
+            message,
+            queue: destinationQueue,
+            headers: {},
+            options: Object.assign({}, options)
+        };
+
+        // the broker moves the message in a single step, the reason is only reported through MESSAGE_REJECTED_EVENT
+        // since the broker can not add headers, and the error queue records the rejection in `x-death` instead
+        if (deadLetterQueue && destinationQueue === deadLetterQueue) {
+            await channelContext.channel.nack(payload, false, false);
+        } else {
+            const published = await this._runPublishMiddleware(context, async (republish) => {
+                const encoded = this._encodeRepublish(payload, message, republish);
+                const sendOptions = Helpers.buildPublishOrSendOptions(
+                    Object.assign({ contentType, contentEncoding: encoded.contentEncoding }, republish.options),
+                    Object.assign(headers, { isBuffer: encoded.isBuffer }, republish.headers)
+                );
+
+                await this.createQueue({ name: republish.queue });
+                await channelContext.channel.sendToQueue(republish.queue, encoded.buffer, sendOptions);
+                await channelContext.channel.waitForConfirms();
+            });
+
+            if (!published) {
+                await this._abortRepublish({ payload, channelContext, parsedPayload, action: 'reject' });
+                return;
+            }
+
+            await channelContext.channel.ack(payload);
+        }
 
         if (parsedPayload) {
             parsedPayload.metaData.headers = Object.assign(parsedPayload.metaData.headers, headers);
@@ -670,7 +1672,82 @@ class BunnyBus extends EventEmitter {
         this.emit(BunnyBus.MESSAGE_REJECTED_EVENT, parsedPayload.metaData, parsedPayload.message);
     }
 
-    async _autoBuildChannelContext({ channelName, queue = null }) {
+    async _reply({ payload, channelName }, message, options) {
+        const { replyTo, correlationId } = payload.properties;
+
+        if (!replyTo) {
+            this.logger.warn('reply requested for a message that was not sent through request');
+            return;
+        }
+
+        const channelContext = await this._autoBuildChannelContext({ channelName });
+        const convertedMessage = Helpers.convertToBuffer(message, options && options.contentType, this.serializers);
+        const compressedMessage = Helpers.compressBuffer(convertedMessage.buffer, this._resolveCompression(options));
+
+        const headers = {
+            transactionId: payload.properties.headers.transactionId,
+            isBuffer: convertedMessage.isBuffer,
+            source: options && options.source,
+            routeKey: payload.properties.headers.routeKey,
+            createdAt: new Date().toISOString(),
+            bunnyBus: Helpers.getPackageData().version
+        };
+
+        const replyOptions = Helpers.buildPublishOrSendOptions(
+            Object.assign(
+                {},
+                options,
+                { correlationId },
+                compressedMessage.contentEncoding && { contentEncoding: compressedMessage.contentEncoding }
+            ),
+            headers
+        );
+
+        await channelContext.channel.sendToQueue(replyTo, compressedMessage.buffer, replyOptions);
+        await channelContext.channel.waitForConfirms();
+    }
+
+    async _autoBuildReplyQueue() {
+        const channelContext = await this._autoBuildChannelContext({
+            channelName: BunnyBus.REPLY_CHANNEL_NAME(),
+            connectionName: this._resolveConnectionName(BunnyBus.CONSUME_CONNECTION_NAME)
+        });
+
+        // the reply consumer lives and dies with the channel, so the reply queue is asserted again after a rebuild
+        if (this._state.replyChannel !== channelContext.channel) {
+            this._state.replyChannel = channelContext.channel;
+            this._state.replyQueue = (async () => {
+                const { queue } = await channelContext.channel.assertQueue('', {
+                    exclusive: true,
+                    durable: false,
+                    autoDelete: true
+                });
+
+                await channelContext.channel.consume(
+                    queue,
+                    (payload) => {
+                        const resolve = payload && this._pendingReplies.get(payload.properties.correlationId);
+
+                        if (resolve) {
+                            resolve(Helpers.parsePayload(payload, this.serializers));
+                        }
+                    },
+                    { noAck: true }
+                );
+
+                return queue;
+            })();
+        }
+
+        try {
+            return await this._state.replyQueue;
+        } catch (err) {
+            this._state.replyChannel = undefined;
+            throw err;
+        }
+    }
+
+    async _autoBuildChannelContext({ channelName, queue = null, connectionName = undefined }) {
         let connectionContext = undefined;
         let channelContext = this.channels.get(channelName);
 
@@ -678,6 +1755,12 @@ class BunnyBus extends EventEmitter {
             return channelContext;
         }
 
+        // channels being rebuilt stay on the connection they were originally created against
+        connectionName =
+            connectionName ||
+            (channelContext && channelContext.connectionContext.name) ||
+            BunnyBus.DEFAULT_CONNECTION_NAME;
+
         const addListener = (subject, eventName, handler) => {
             const key = `${subject.uniqueName}_${eventName}`;
             if (!this._handlerAssignmentLedger.has(key)) {
@@ -686,7 +1769,13 @@ class BunnyBus extends EventEmitter {
             }
         };
 
-        connectionContext = await this.connections.create(BunnyBus.DEFAULT_CONNECTION_NAME, this.config);
+        const connectionOptions = this._connectionOptions(connectionName);
+
+        connectionContext = await this.connections.create(
+            connectionName,
+            connectionOptions,
+            this._socketOptionsFor(connectionName)
+        );
         addListener(
             connectionContext,
             ConnectionManager.AMQP_CONNECTION_CLOSE_EVENT,
@@ -697,6 +1786,16 @@ class BunnyBus extends EventEmitter {
             ConnectionManager.AMQP_CONNECTION_ERROR_EVENT,
             this._on_connectionManager_AMQP_CONNECTION_ERROR_EVENT.bind(this)
         );
+        addListener(
+            connectionContext,
+            ConnectionManager.AMQP_CONNECTION_BLOCKED_EVENT,
+            this._on_connectionManager_AMQP_CONNECTION_BLOCKED_EVENT.bind(this)
+        );
+        addListener(
+            connectionContext,
+            ConnectionManager.AMQP_CONNECTION_UNBLOCKED_EVENT,
+            this._on_connectionManager_AMQP_CONNECTION_UNBLOCKED_EVENT.bind(this)
+        );
 
         channelContext = await this.channels.create(channelName, queue, connectionContext, this.config);
         addListener(
@@ -709,13 +1808,137 @@ class BunnyBus extends EventEmitter {
             ChannelManager.AMQP_CHANNEL_ERROR_EVENT,
             this._on_channelManager_AMQP_CHANNEL_ERROR_EVENT.bind(this)
         );
+        addListener(
+            channelContext,
+            ChannelManager.AMQP_CHANNEL_DRAIN_EVENT,
+            this._on_channelManager_AMQP_CHANNEL_DRAIN_EVENT.bind(this)
+        );
 
         return channelContext;
     }
 
-    async _recoverConnection() {
-        for (const { name, queue } of this.channels.list()) {
-            if (queue) {
+    _resolveConnectionName(role) {
+        return this.config.connections && this.config.connections[role] ? role : BunnyBus.DEFAULT_CONNECTION_NAME;
+    }
+
+    async _runPublishMiddleware(context, publisher) {
+        let published = false;
+
+        await Helpers.composeMiddleware(this._publishMiddleware)(context, async (publishContext) => {
+            await publisher(publishContext);
+            published = true;
+        });
+
+        return published;
+    }
+
+    async _runConsumeMiddleware(context, handler) {
+        await Helpers.composeMiddleware(this._consumeMiddleware)(context, (handlerContext) => handler(handlerContext));
+    }
+
+    async _runAutoAck({ context, handlerTimeout, classifyError }, handler) {
+        let settled = false;
+        let timeoutRef = undefined;
+
+        // the first of ack, rej or requeue settles the message so late calls from a timed out handler are dropped
+        const settleOnce = (settle) => {
+            return async (...args) => {
+                if (settled) {
+                    this.logger.warn(`message on queue (${context.queue}) was already settled`);
+                    return;
+                }
+
+                settled = true;
+                await settle(...args);
+            };
+        };
+
+        context.ack = settleOnce(context.ack);
+        context.rej = settleOnce(context.rej);
+        context.requeue = settleOnce(context.requeue);
+
+        const timeout = new Promise((resolve) => {
+            if (handlerTimeout) {
+                timeoutRef = setTimeout(() => resolve(true), handlerTimeout);
+            }
+        });
+
+        const handling = handler().then(() => false);
+        // a handler that fails after it timed out has nothing left to settle
+        handling.catch(() => {});
+
+        try {
+            const timedOut = await Promise.race([handling, timeout]);
+
+            if (timedOut) {
+                const reason = `handler exceeded timeout of ${handlerTimeout}ms for queue (${context.queue})`;
+                this.logger.warn(reason);
+                await context.rej({ reason });
+                // the handler is still running, so its dispatch slot is held until it finishes to keep serial,
+                // bounded and keyed dispatching from starting the next message alongside it
+                await handling.catch(() => {});
+            } else if (!settled) {
+                await context.ack();
+            }
+        } catch (err) {
+            const action = classifyError ? classifyError(err) : 'requeue';
+            const reason = `handler failed for queue (${context.queue}) : ${err.message}`;
+            this.logger.warn(reason);
+
+            if (action === 'reject') {
+                await context.rej({ reason });
+            } else {
+                await context.requeue();
+            }
+        } finally {
+            clearTimeout(timeoutRef);
+        }
+    }
+
+    _validateMessage(routeKey, message) {
+        const validationErrors = this.validators.validate(routeKey, message);
+
+        if (validationErrors.length > 0) {
+            throw new Exceptions.MessageValidationError(routeKey, validationErrors);
+        }
+    }
+
+    _resolveCompression(options) {
+        // a message that is already encoded by the caller is never compressed again
+        if (options && options.contentEncoding) {
+            return null;
+        }
+
+        return options && options.hasOwnProperty('compression') ? options.compression : this.config.compression;
+    }
+
+    _connectionOptions(connectionName) {
+        return Object.assign({}, this.config, Hoek.reach(this.config, ['connections', connectionName]));
+    }
+
+    _socketOptionsFor(connectionName) {
+        // certificate files are read once per connection name, not on every channel build, until the config changes
+        if (!this._socketOptions.has(connectionName)) {
+            this._socketOptions.set(
+                connectionName,
+                Helpers.createSocketOptions(this._connectionOptions(connectionName))
+            );
+        }
+
+        return this._socketOptions.get(connectionName);
+    }
+
+    async _recoverConnection({ connectionName } = {}) {
+        const recoveredQueues = new Set();
+
+        for (const { name, queue, connectionContext } of this.channels.list()) {
+            // recovering one channel of a queue restarts the consumers on all of its channels
+            if (
+                queue &&
+                !recoveredQueues.has(queue) &&
+                (!connectionName || connectionContext.name === connectionName)
+            ) {
+                recoveredQueues.add(queue);
                 await this._recoverChannel({ channelName: name });
             }
         }
@@ -731,8 +1954,11 @@ class BunnyBus extends EventEmitter {
                 if (queue && this.subscriptions.contains(queue, false)) {
                     const { handlers, options } = this.subscriptions.get(queue);
 
-                    if (!this.subscriptions.isBlocked(queue)) {
-                        this.subscriptions.clear(queue);
+                    if (!this.subscriptions.isBlocked(queue) && !this.subscriptions.isPaused(queue)) {
+                        if (this.subscriptions.contains(queue)) {
+                            await this._stopConsumers(queue);
+                        }
+
                         await this.subscribe({ queue, handlers, options });
                     }
                 }
@@ -763,6 +1989,10 @@ class BunnyBus extends EventEmitter {
 
         this.logger.info(`unblocking queue ${queue}`);
 
+        if (this._subscriptions.isPaused(queue)) {
+            return;
+        }
+
         try {
             await this.subscribe({ queue, handlers: subscription.handlers, options: subscription.options });
         } catch (err) {
@@ -777,13 +2007,23 @@ class BunnyBus extends EventEmitter {
         this.logger.error(err);
     }
 
+    _on_connectionManager_AMQP_CONNECTION_BLOCKED_EVENT(context, reason) {
+        this.logger.warn(`${context.name} connection blocked by the broker (${reason})`);
+        this.emit(BunnyBus.CONNECTION_BLOCKED_EVENT, context.name, reason);
+    }
+
+    _on_connectionManager_AMQP_CONNECTION_UNBLOCKED_EVENT(context) {
+        this.logger.info(`${context.name} connection unblocked`);
+        this.emit(BunnyBus.CONNECTION_UNBLOCKED_EVENT, context.name);
+    }
+
     async _on_connectionManager_AMQP_CONNECTION_CLOSE_EVENT(context) {
         this.logger.info(`${context.name} connection closed`);
 
         try {
             this.emit(BunnyBus.RECOVERING_CONNECTION_EVENT, context.name);
-            await this._recoverConnection();
-            this.emit(BunnyBus.RECOVERED_CONNECTION_EVENT, context.name);
+            await this._recoverConnection({ connectionName: context.name });
+            this.emit(BunnyBus.RECOVERED_CONNECTION_EVENT, context.name, context.host);
         } catch (err) {}
     }
 
@@ -793,9 +2033,16 @@ class BunnyBus extends EventEmitter {
         this.logger.error(err);
     }
 
+    _on_channelManager_AMQP_CHANNEL_DRAIN_EVENT(context) {
+        this._wakePublishWaiters(context);
+    }
+
     async _on_channelManager_AMQP_CHANNEL_CLOSE_EVENT(context) {
         this.logger.info(`${context.name} channel closed`);
 
+        // the write buffer went with the channel, so nothing is held back waiting for it to drain
+        this._wakePublishWaiters(context);
+
         try {
             this.emit(BunnyBus.RECOVERING_CHANNEL_EVENT, context.name);
             await this._recoverChannel({ channelName: context.name });
@@ -0,0 +1,89 @@
+'use strict';
+
+class BoundedDispatcher {
+    constructor(maxConcurrency = 1, onError = () => {}) {
+        this._maxConcurrency = maxConcurrency;
+        this._onError = onError;
+        this._limits = new Map();
+        this._queues = new Map();
+    }
+
+    limit(queue, maxConcurrency) {
+        this._limits.set(queue, maxConcurrency);
+
+        const context = this._queues.get(queue);
+
+        if (context) {
+            context.maxConcurrency = maxConcurrency;
+            this._drain(context);
+        }
+    }
+
+    _setupQueue(queue) {
+        const context = {
+            queue,
+            buffer: [],
+            running: 0,
+            drained: [],
+            maxConcurrency: this._limits.get(queue) || this._maxConcurrency
+        };
+
+        this._queues.set(queue, context);
+
+        return context;
+    }
+
+    _drain(context) {
+        while (context.running < context.maxConcurrency && context.buffer.length) {
+            const delegate = context.buffer.shift();
+
+            ++context.running;
+
+            // a failing delegate is reported and only has to give its slot back
+            Promise.resolve()
+                .then(delegate)
+                .catch((err) => this._onError(err, context.queue))
+                .finally(() => {
+                    --context.running;
+
+                    if (!context.running && !context.buffer.length) {
+                        this._queues.delete(context.queue);
+                        context.drained.forEach((resolve) => resolve());
+                    } else {
+                        this._drain(context);
+                    }
+                });
+        }
+    }
+
+    push(queue, delegate) {
+        const context = this._queues.has(queue) ? this._queues.get(queue) : this._setupQueue(queue);
+
+        context.buffer.push(delegate);
+        this._drain(context);
+    }
+
+    depth(queue) {
+        const context = this._queues.get(queue);
+
+        return context ? context.buffer.length : 0;
+    }
+
+    drain(queue) {
+        const context = this._queues.get(queue);
+
+        if (!context) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => context.drained.push(resolve));
+    }
+
+    cancel(queue) {
+        const context = this._queues.get(queue);
+
+        return context ? context.buffer.splice(0).length : 0;
+    }
+}
+
+module.exports = BoundedDispatcher;
@@ -1,10 +1,56 @@
 'use strict';
 
 class ConcurrentDispatcher {
-    constructor() {}
+    constructor(onError = () => {}) {
+        this._onError = onError;
+        this._queues = new Map();
+    }
+
+    _setupQueue(queue) {
+        const context = {
+            queue,
+            running: 0,
+            drained: []
+        };
+
+        this._queues.set(queue, context);
+
+        return context;
+    }
+
+    push(queue, delegate) {
+        const context = !this._queues.has(queue) ? this._setupQueue(queue) : this._queues.get(queue);
+
+        ++context.running;
+
+        Promise.resolve()
+            .then(delegate)
+            .catch((err) => this._onError(err, queue))
+            .finally(() => {
+                if (!--context.running) {
+                    this._queues.delete(queue);
+                    context.drained.forEach((resolve) => resolve());
+                }
+            });
+    }
+
+    depth() {
+        // delegates are never buffered
+        return 0;
+    }
+
+    drain(queue) {
+        const context = this._queues.get(queue);
+
+        if (!context) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => context.drained.push(resolve));
+    }
 
-    push(_, delegate) {
-        delegate();
+    cancel() {
+        return 0;
     }
 }
 
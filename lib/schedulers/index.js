@@ -1,6 +1,8 @@
 'use strict';
 
 module.exports = {
+    BoundedDispatcher: require('./boundedDispatcher'),
     ConcurrentDispatcher: require('./concurrentDispatcher'),
+    KeyedDispatcher: require('./keyedDispatcher'),
     SerialDispatcher: require('./serialDispatcher')
 };
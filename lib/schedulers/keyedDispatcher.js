@@ -0,0 +1,54 @@
+'use strict';
+
+const SerialDispatcher = require('./serialDispatcher');
+
+const hashKey = (key) => {
+    const value = String(key);
+    let hash = 5381;
+
+    for (let i = 0; i < value.length; ++i) {
+        hash = ((hash << 5) + hash + value.charCodeAt(i)) | 0;
+    }
+
+    return Math.abs(hash);
+};
+
+class KeyedDispatcher {
+    constructor(lanes = 1, onError = () => {}) {
+        this._lanes = lanes;
+        this._limits = new Map();
+        // lanes are named `<queue>:<lane>`, so errors are reported against the queue they were pushed to
+        this._serial = new SerialDispatcher((err, lane) => onError(err, lane.slice(0, lane.lastIndexOf(':'))));
+    }
+
+    limit(queue, lanes) {
+        this._limits.set(queue, lanes);
+    }
+
+    _laneNames(queue) {
+        const lanes = this._limits.get(queue) || this._lanes;
+
+        return Array.from({ length: lanes }, (_, lane) => `${queue}:${lane}`);
+    }
+
+    push(queue, delegate, key) {
+        // the same key always hashes to the same lane, so its delegates run in the order they were pushed
+        const lanes = this._limits.get(queue) || this._lanes;
+
+        this._serial.push(`${queue}:${hashKey(key) % lanes}`, delegate);
+    }
+
+    depth(queue) {
+        return this._laneNames(queue).reduce((total, lane) => total + this._serial.depth(lane), 0);
+    }
+
+    async drain(queue) {
+        await Promise.all(this._laneNames(queue).map((lane) => this._serial.drain(lane)));
+    }
+
+    cancel(queue) {
+        return this._laneNames(queue).reduce((total, lane) => total + this._serial.cancel(lane), 0);
+    }
+}
+
+module.exports = KeyedDispatcher;
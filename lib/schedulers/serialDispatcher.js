@@ -1,9 +1,8 @@
 'use strict';
 
-const { setIntervalAsync, clearIntervalAsync } = require('set-interval-async/dynamic');
-
 class SerialDispatcher {
-    constructor() {
+    constructor(onError = () => {}) {
+        this._onError = onError;
         this._queues = new Map();
     }
 
@@ -11,20 +10,8 @@ class SerialDispatcher {
         const context = {
             queue,
             buffer: [],
-            intervalRef: setIntervalAsync(async () => {
-                const ctx = this._queues.get(queue);
-
-                const delegate = ctx.buffer.shift();
-
-                if (delegate) {
-                    await delegate();
-
-                    if (!ctx.buffer.length) {
-                        this._queues.delete(queue);
-                        clearIntervalAsync(ctx.intervalRef);
-                    }
-                }
-            }, 10)
+            running: false,
+            drained: []
         };
 
         this._queues.set(queue, context);
@@ -32,9 +19,56 @@ class SerialDispatcher {
         return context;
     }
 
+    async _run(context) {
+        context.running = true;
+
+        while (context.buffer.length) {
+            const delegate = context.buffer.shift();
+
+            // a failing delegate is reported and must not stall the queue
+            try {
+                await delegate();
+            } catch (err) {
+                this._onError(err, context.queue);
+            }
+        }
+
+        context.running = false;
+        this._queues.delete(context.queue);
+        context.drained.forEach((resolve) => resolve());
+    }
+
     push(queue, delegate) {
         // do not deconstruct this because it is a hot path
-        (!this._queues.has(queue) ? this._setupQueue(queue) : this._queues.get(queue)).buffer.push(delegate);
+        const context = !this._queues.has(queue) ? this._setupQueue(queue) : this._queues.get(queue);
+
+        context.buffer.push(delegate);
+
+        if (!context.running) {
+            this._run(context);
+        }
+    }
+
+    depth(queue) {
+        const context = this._queues.get(queue);
+
+        return context ? context.buffer.length : 0;
+    }
+
+    drain(queue) {
+        const context = this._queues.get(queue);
+
+        if (!context) {
+            return Promise.resolve();
+        }
+
+        return new Promise((resolve) => context.drained.push(resolve));
+    }
+
+    cancel(queue) {
+        const context = this._queues.get(queue);
+
+        return context ? context.buffer.splice(0).length : 0;
     }
 }
 
@@ -0,0 +1,8 @@
+'use strict';
+
+module.exports = {
+    SerializerManager: require('./serializerManager'),
+    JsonSerializer: require('./jsonSerializer'),
+    RawSerializer: require('./rawSerializer'),
+    TextSerializer: require('./textSerializer')
+};
@@ -0,0 +1,7 @@
+'use strict';
+
+module.exports = {
+    contentType: 'application/json',
+    serialize: (message) => Buffer.from(JSON.stringify(message)),
+    deserialize: (buffer) => JSON.parse(buffer.toString())
+};
@@ -0,0 +1,7 @@
+'use strict';
+
+module.exports = {
+    contentType: 'application/octet-stream',
+    serialize: (message) => (Buffer.isBuffer(message) ? message : Buffer.from(message)),
+    deserialize: (buffer) => buffer
+};
@@ -0,0 +1,42 @@
+'use strict';
+
+const Exceptions = require('../exceptions');
+const JsonSerializer = require('./jsonSerializer');
+const RawSerializer = require('./rawSerializer');
+const TextSerializer = require('./textSerializer');
+
+class SerializerManager {
+    constructor() {
+        this._serializers = new Map();
+
+        for (const serializer of [JsonSerializer, RawSerializer, TextSerializer]) {
+            this.register(serializer.contentType, serializer);
+        }
+    }
+
+    register(contentType, serializer) {
+        if (!serializer || typeof serializer.serialize !== 'function' || typeof serializer.deserialize !== 'function') {
+            throw new Exceptions.IncompatibleSerializerError(contentType);
+        }
+
+        this._serializers.set(contentType, serializer);
+    }
+
+    contains(contentType) {
+        return this._serializers.has(contentType);
+    }
+
+    get(contentType) {
+        return this._serializers.get(contentType);
+    }
+
+    list() {
+        return Array.from(this._serializers.keys());
+    }
+
+    remove(contentType) {
+        return this._serializers.delete(contentType);
+    }
+}
+
+module.exports = SerializerManager;
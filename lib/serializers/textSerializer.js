@@ -0,0 +1,10 @@
+'use strict';
+
+const Helpers = require('../helpers');
+
+module.exports = {
+    contentType: 'text/plain',
+    serialize: (message) =>
+        Buffer.isBuffer(message) ? message : Buffer.from(Helpers.isString(message) ? message : JSON.stringify(message)),
+    deserialize: (buffer) => buffer.toString()
+};
@@ -16,6 +16,8 @@ class Channel extends EventEmitter {
         this._channelOptions = channelOptions;
         this._lock = false;
         this._channel = undefined;
+        this._writable = true;
+        this._pendingPublishes = 0;
     }
 
     get name() {
@@ -58,6 +60,22 @@ class Channel extends EventEmitter {
         this._channel = value;
     }
 
+    get writable() {
+        return this._writable;
+    }
+
+    set writable(value) {
+        this._writable = value;
+    }
+
+    get pendingPublishes() {
+        return this._pendingPublishes;
+    }
+
+    set pendingPublishes(value) {
+        this._pendingPublishes = value;
+    }
+
     get healthy() {
         const lockTimeDiff = Date.now() - (this.lock || Date.now());
         const overTimeLimit = lockTimeDiff > this.channelOptions.timeout * this.channelOptions.connectionRetryCount;
@@ -145,6 +163,7 @@ class ChannelManager extends EventEmitter {
                         channelContext.channel
                             .on('close', () => {
                                 channelContext.channel = undefined;
+                                channelContext.writable = true;
                                 channelContext.emit(ChannelManager.AMQP_CHANNEL_CLOSE_EVENT, channelContext);
                             })
                             .on('error', (err) => {
@@ -154,6 +173,7 @@ class ChannelManager extends EventEmitter {
                                 channelContext.emit(ChannelManager.AMQP_CHANNEL_RETURN_EVENT, channelContext, payload);
                             })
                             .on('drain', () => {
+                                channelContext.writable = true;
                                 channelContext.emit(ChannelManager.AMQP_CHANNEL_DRAIN_EVENT, channelContext);
                             });
 
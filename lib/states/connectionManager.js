@@ -12,6 +12,9 @@ class Connection extends EventEmitter {
         this._name = name;
         this._connectionOptions = connectionOptions;
         this._socketOptions = socketOptions;
+        this._hosts = Helpers.createHostList(connectionOptions);
+        this._hostIndex = 0;
+        this._host = undefined;
         this._lock = false;
         this._blocked = false;
         this._connection = undefined;
@@ -35,6 +38,18 @@ class Connection extends EventEmitter {
         return this._socketOptions;
     }
 
+    get hosts() {
+        return this._hosts;
+    }
+
+    get host() {
+        return this._host;
+    }
+
+    set host(value) {
+        this._host = value;
+    }
+
     get lock() {
         return this._lock;
     }
@@ -66,6 +81,18 @@ class Connection extends EventEmitter {
 
         return overTimeLimit ? (this.connection ? true : false) : true;
     }
+
+    nextHost() {
+        if (!this._hosts.length) {
+            return { hostname: this.connectionOptions.hostname, port: this.connectionOptions.port };
+        }
+
+        if (this.connectionOptions.hostSelection === 'random') {
+            return this._hosts[Math.floor(Math.random() * this._hosts.length)];
+        }
+
+        return this._hosts[this._hostIndex++ % this._hosts.length];
+    }
 }
 
 class ConnectionManager extends EventEmitter {
@@ -107,6 +134,10 @@ class ConnectionManager extends EventEmitter {
         return true;
     }
 
+    get blocked() {
+        return this.list().some((context) => context.blocked);
+    }
+
     async create(name, connectionOptions, socketOptions = undefined) {
         if (!connectionOptions) {
             throw new Error('Expected connectionOptions to be supplied');
@@ -134,13 +165,22 @@ class ConnectionManager extends EventEmitter {
             try {
                 await Helpers.retryAsync(
                     async () => {
+                        // every attempt moves on to the next node so a dead node can not stall reconnection
+                        const host = connectionContext.nextHost();
+
                         connectionContext.connection = await Helpers.timeoutAsync(
                             Amqp.connect,
                             connectionContext.connectionOptions.timeout
-                        )(connectionContext.connectionOptions, connectionContext.socketOptions);
+                        )(
+                            Object.assign({}, connectionContext.connectionOptions, host),
+                            connectionContext.socketOptions
+                        );
+                        connectionContext.host = host;
                         connectionContext.connection
                             .on('close', () => {
                                 connectionContext.connection = undefined;
+                                // the alarm belongs to the connection, a new one starts out unblocked
+                                connectionContext.blocked = false;
                                 connectionContext.emit(
                                     ConnectionManager.AMQP_CONNECTION_CLOSE_EVENT,
                                     connectionContext
@@ -172,7 +212,8 @@ class ConnectionManager extends EventEmitter {
                     Helpers.exponentialBackoff,
                     connectionOptions.connectionRetryCount,
                     (err) => {
-                        return err.code && err.code === 'ENOTFOUND';
+                        // an unresolvable node is only fatal when there is no other node to fail over to
+                        return connectionContext.hosts.length <= 1 && err.code && err.code === 'ENOTFOUND';
                     }
                 );
             } catch (err) {
@@ -34,6 +34,14 @@ class SubscriptionManager extends EventEmitter {
         return 'subscription.unblocked';
     }
 
+    static get PAUSED_EVENT() {
+        return 'subscription.paused';
+    }
+
+    static get RESUMED_EVENT() {
+        return 'subscription.resumed';
+    }
+
     contains(queue, withConsumerTag = true) {
         return withConsumerTag
             ? this._subscriptions.has(queue) && this._subscriptions.get(queue).hasOwnProperty('consumerTag')
@@ -45,7 +53,7 @@ class SubscriptionManager extends EventEmitter {
             return false;
         }
 
-        this._subscriptions.set(queue, { handlers, options });
+        this._subscriptions.set(queue, { handlers, options, paused: false });
         Helpers.cleanObject(this._subscriptions.get(queue));
         this.emit(SubscriptionManager.CREATED_EVENT, this.get(queue));
 
@@ -57,7 +65,16 @@ class SubscriptionManager extends EventEmitter {
             return false;
         }
 
-        Object.assign(this._subscriptions.get(queue), { consumerTag });
+        const subscription = this._subscriptions.get(queue);
+
+        // queues consumed by several channels carry one tag per channel, keyed by the name of the channel
+        if (typeof consumerTag === 'object') {
+            Object.assign(subscription, { consumerTag: Object.values(consumerTag)[0], consumerTags: consumerTag });
+        } else {
+            subscription.consumerTag = consumerTag;
+            delete subscription.consumerTags;
+        }
+
         this.emit(SubscriptionManager.TAGGED_EVENT, this.get(queue));
 
         return true;
@@ -77,6 +94,7 @@ class SubscriptionManager extends EventEmitter {
     clear(queue) {
         if (this.contains(queue)) {
             delete this._subscriptions.get(queue).consumerTag;
+            delete this._subscriptions.get(queue).consumerTags;
             this.emit(SubscriptionManager.CLEARED_EVENT, this.get(queue));
 
             return true;
@@ -139,6 +157,32 @@ class SubscriptionManager extends EventEmitter {
 
         return true;
     }
+
+    isPaused(queue) {
+        return this._subscriptions.has(queue) && this._subscriptions.get(queue).paused;
+    }
+
+    pause(queue) {
+        if (!this.contains(queue, false) || this.isPaused(queue)) {
+            return false;
+        }
+
+        this._subscriptions.get(queue).paused = true;
+        this.emit(SubscriptionManager.PAUSED_EVENT, queue);
+
+        return true;
+    }
+
+    resume(queue) {
+        if (!this.isPaused(queue)) {
+            return false;
+        }
+
+        this._subscriptions.get(queue).paused = false;
+        this.emit(SubscriptionManager.RESUMED_EVENT, queue);
+
+        return true;
+    }
 }
 
 module.exports = SubscriptionManager;
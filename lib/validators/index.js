@@ -0,0 +1,5 @@
+'use strict';
+
+module.exports = {
+    ValidatorManager: require('./validatorManager')
+};
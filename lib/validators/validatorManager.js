@@ -0,0 +1,80 @@
+'use strict';
+
+const Ajv = require('ajv');
+const Exceptions = require('../exceptions');
+const Helpers = require('../helpers');
+
+const formatSchemaErrors = (errors) => errors.map(({ dataPath, message }) => `message${dataPath} ${message}`);
+
+const isAsyncFunction = (fn) => Object.prototype.toString.call(fn) === '[object AsyncFunction]';
+
+// validator functions return nothing or `true` when valid and `false`, a string or a list of strings when invalid
+const formatFunctionResult = (result, pattern) => {
+    if (result === undefined || result === null || result === true) {
+        return [];
+    }
+
+    // validation runs in the publish hot path and can not wait, so a promise fails the message instead of passing it
+    if (typeof result.then === 'function') {
+        result.then(null, () => {});
+        throw new Exceptions.IncompatibleValidatorError(pattern);
+    }
+
+    if (result === false) {
+        return ['message is invalid'];
+    }
+
+    return [].concat(result).map((error) => (error instanceof Error ? error.message : `${error}`));
+};
+
+class ValidatorManager {
+    constructor() {
+        this._ajv = new Ajv({ allErrors: true });
+        this._validators = new Map();
+    }
+
+    register(pattern, validator) {
+        let validate = undefined;
+
+        if (typeof validator === 'function' && !isAsyncFunction(validator)) {
+            validate = (message) => formatFunctionResult(validator(message), pattern);
+        } else if (validator !== null && typeof validator === 'object') {
+            const compiled = this._ajv.compile(validator);
+            validate = (message) => (compiled(message) ? [] : formatSchemaErrors(compiled.errors));
+        } else {
+            throw new Exceptions.IncompatibleValidatorError(pattern);
+        }
+
+        this._validators.set(pattern, validate);
+    }
+
+    contains(pattern) {
+        return this._validators.has(pattern);
+    }
+
+    list() {
+        return Array.from(this._validators.keys());
+    }
+
+    remove(pattern) {
+        return this._validators.delete(pattern);
+    }
+
+    validate(routeKey, message) {
+        const errors = [];
+
+        for (const [pattern, validate] of this._validators) {
+            if (Helpers.routeMatcher(pattern, routeKey)) {
+                try {
+                    errors.push(...validate(message));
+                } catch (err) {
+                    errors.push(err.message);
+                }
+            }
+        }
+
+        return errors;
+    }
+}
+
+module.exports = ValidatorManager;
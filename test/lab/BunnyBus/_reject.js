@@ -101,11 +101,13 @@ describe('BunnyBus', () => {
                 await instance._reject({
                     payload,
                     channelName: BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName),
+                    queue: baseQueueName,
                     errorQueue: baseErrorQueueName
                 });
 
                 payload = await instance.get({ queue: baseErrorQueueName });
 
+                expect(payload.properties.headers.originQueue).to.be.equal(baseQueueName);
                 expect(payload.properties.headers.transactionId).to.be.equal(transactionId);
                 expect(payload.properties.headers.createdAt).to.be.equal(createdAt);
                 expect(payload.properties.headers.source).to.be.equal(publishOptions.source);
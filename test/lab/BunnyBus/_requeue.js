@@ -109,6 +109,101 @@ describe('BunnyBus', () => {
                 expect(payload.properties.headers.bunnyBus).to.be.equal(require('../../../package.json').version);
             });
 
+            it('should requeue through a delayed retry queue when a retry policy is supplied', async () => {
+                const retry = { type: 'fixed', delay: 500 };
+                const retryQueueName = BunnyBus.RETRY_QUEUE_NAME(baseQueueName, retry.delay);
+
+                await instance.publish({ message });
+                let payload = await instance.get({ queue: baseQueueName });
+
+                await instance._requeue({
+                    payload,
+                    channelName: BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName),
+                    queue: baseQueueName,
+                    retry
+                });
+
+                const [originResult, retryResult] = await Promise.all([
+                    channelContext.channel.checkQueue(baseQueueName),
+                    channelContext.channel.checkQueue(retryQueueName)
+                ]);
+
+                expect(originResult.messageCount).to.be.equal(0);
+                expect(retryResult.messageCount).to.be.equal(1);
+
+                await new Promise((resolve) => setTimeout(resolve, retry.delay * 2));
+
+                payload = await instance.get({ queue: baseQueueName });
+
+                expect(payload).to.exist();
+                expect(payload.properties.headers.retryCount).to.be.equal(1);
+                expect(payload.properties.headers.retryDelay).to.be.equal(retry.delay);
+                expect(payload.properties.headers.routeKey).to.be.equal(message.event);
+
+                await channelContext.channel.deleteQueue(retryQueueName);
+            });
+
+            it('should declare each retry queue once', async () => {
+                const retry = { type: 'fixed', delay: 300 };
+                const retryQueueName = BunnyBus.RETRY_QUEUE_NAME(baseQueueName, retry.delay);
+                const managementChannelContext = await instance._autoBuildChannelContext({
+                    channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME()
+                });
+                const assertQueue = managementChannelContext.channel.assertQueue;
+                let asserted = 0;
+
+                managementChannelContext.channel.assertQueue = (...args) => {
+                    ++asserted;
+                    return assertQueue.apply(managementChannelContext.channel, args);
+                };
+
+                try {
+                    await instance.publish({ message });
+                    await instance.publish({ message });
+
+                    for (let i = 0; i < 2; ++i) {
+                        await instance._requeue({
+                            payload: await instance.get({ queue: baseQueueName }),
+                            channelName: BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName),
+                            queue: baseQueueName,
+                            retry
+                        });
+                    }
+                } finally {
+                    managementChannelContext.channel.assertQueue = assertQueue;
+                }
+
+                const { messageCount } = await channelContext.channel.checkQueue(retryQueueName);
+
+                expect(asserted).to.equal(1);
+                expect(messageCount).to.equal(2);
+
+                await channelContext.channel.deleteQueue(retryQueueName);
+            });
+
+            it('should declare the retry queue when disableQueueCreate is set', async () => {
+                const retry = { type: 'fixed', delay: 400 };
+                const retryQueueName = BunnyBus.RETRY_QUEUE_NAME(baseQueueName, retry.delay);
+                const disabledInstance = new BunnyBus(
+                    Object.assign({}, BunnyBus.DEFAULT_SERVER_CONFIGURATION, { disableQueueCreate: true })
+                );
+
+                await instance.publish({ message });
+                await disabledInstance._requeue({
+                    payload: await disabledInstance.get({ queue: baseQueueName }),
+                    channelName: BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName),
+                    queue: baseQueueName,
+                    retry
+                });
+
+                const { messageCount } = await channelContext.channel.checkQueue(retryQueueName);
+
+                expect(messageCount).to.equal(1);
+
+                await channelContext.channel.deleteQueue(retryQueueName);
+                await disabledInstance.stop();
+            });
+
             it('should not error when connection does not pre-exist', async () => {
                 await Assertions.autoRecoverChannel(
                     async () => {
@@ -0,0 +1,96 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../lib');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let settlements = undefined;
+
+const createContext = () => {
+    return {
+        queue: 'test-auto-ack-queue',
+        ack: async () => settlements.push('ack'),
+        rej: async ({ reason }) => settlements.push(`rej:${reason}`),
+        requeue: async () => settlements.push('requeue')
+    };
+};
+
+describe('BunnyBus', () => {
+    beforeEach(() => {
+        instance = new BunnyBus();
+        settlements = [];
+    });
+
+    describe('private methods', () => {
+        describe('_runAutoAck', () => {
+            it('should ack when the handler resolves', async () => {
+                await instance._runAutoAck({ context: createContext() }, async () => {});
+
+                expect(settlements).to.equal(['ack']);
+            });
+
+            it('should not ack again when the handler settled the message', async () => {
+                const context = createContext();
+
+                await instance._runAutoAck({ context }, async () => {
+                    await context.rej({ reason: 'handled' });
+                });
+
+                expect(settlements).to.equal(['rej:handled']);
+            });
+
+            it('should requeue when the handler throws and no classification is supplied', async () => {
+                await instance._runAutoAck({ context: createContext() }, async () => {
+                    throw new Error('boom');
+                });
+
+                expect(settlements).to.equal(['requeue']);
+            });
+
+            it('should reject when the error is classified for rejection', async () => {
+                const classifyError = (err) => (err instanceof TypeError ? 'reject' : 'requeue');
+
+                await instance._runAutoAck({ context: createContext(), classifyError }, async () => {
+                    throw new TypeError('boom');
+                });
+
+                expect(settlements).to.equal([`rej:handler failed for queue (test-auto-ack-queue) : boom`]);
+            });
+
+            it('should reject and log when the handler exceeds the timeout', async () => {
+                const context = createContext();
+                const warnings = [];
+
+                instance.on(BunnyBus.LOG_WARN_EVENT, (message) => warnings.push(message));
+
+                await instance._runAutoAck({ context, handlerTimeout: 10 }, async () => {
+                    await new Promise((resolve) => setTimeout(resolve, 30));
+                    await context.ack();
+                });
+
+                const reason = 'handler exceeded timeout of 10ms for queue (test-auto-ack-queue)';
+
+                expect(settlements).to.equal([`rej:${reason}`]);
+                expect(warnings).to.equal([reason, 'message on queue (test-auto-ack-queue) was already settled']);
+            });
+
+            it('should hold on until a timed out handler finishes', async () => {
+                const context = createContext();
+                let finished = false;
+
+                await instance._runAutoAck({ context, handlerTimeout: 10 }, async () => {
+                    await new Promise((resolve) => setTimeout(resolve, 30));
+                    finished = true;
+                    throw new Error('late failure');
+                });
+
+                expect(finished).to.be.true();
+                expect(settlements).to.have.length(1);
+            });
+        });
+    });
+});
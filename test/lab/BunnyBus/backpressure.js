@@ -0,0 +1,112 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../lib');
+const Exceptions = require('../../../lib/exceptions');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+let publishChannelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+    });
+
+    describe('publish backpressure', () => {
+        const baseChannelName = 'bunnybus-backpressure';
+        const baseQueueName = 'test-backpressure-queue';
+        const routeKey = 'backpressure.event';
+
+        const publish = (index, options) => {
+            return instance.publish({
+                message: { event: routeKey, index },
+                options: Object.assign({ publishConfirms: 'pipelined' }, options)
+            });
+        };
+
+        before(async () => {
+            instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+            channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+            publishChannelContext = await instance._autoBuildChannelContext({
+                channelName: BunnyBus.PUBLISH_CHANNEL_NAME()
+            });
+
+            await Promise.all([
+                channelContext.channel.assertQueue(baseQueueName, BunnyBus.DEFAULT_QUEUE_CONFIGURATION),
+                channelContext.channel.assertExchange(instance.config.globalExchange, 'topic')
+            ]);
+
+            await channelContext.channel.bindQueue(baseQueueName, instance.config.globalExchange, routeKey);
+        });
+
+        beforeEach(async () => {
+            await channelContext.channel.purgeQueue(baseQueueName);
+        });
+
+        afterEach(async () => {
+            publishChannelContext.channel.emit('drain');
+        });
+
+        after(async () => {
+            await channelContext.channel.deleteQueue(baseQueueName);
+            await instance.stop();
+        });
+
+        it('should hold publishes until the write buffer drains', async () => {
+            let published = false;
+
+            publishChannelContext.writable = false;
+
+            const promise = publish(0).then(() => {
+                published = true;
+            });
+
+            await new Promise((resolve) => setTimeout(resolve, 50));
+
+            expect(published).to.be.false();
+            expect(publishChannelContext.pendingPublishes).to.equal(1);
+
+            publishChannelContext.channel.emit('drain');
+            await promise;
+
+            expect(published).to.be.true();
+            expect(publishChannelContext.pendingPublishes).to.equal(0);
+        });
+
+        it('should wait for a free slot when maxPendingPublishes is reached', async () => {
+            publishChannelContext.writable = false;
+
+            const promises = [0, 1, 2].map((index) => publish(index, { maxPendingPublishes: 1 }));
+
+            await new Promise((resolve) => setTimeout(resolve, 50));
+
+            expect(publishChannelContext.pendingPublishes).to.equal(1);
+
+            publishChannelContext.channel.emit('drain');
+            await Promise.all(promises);
+
+            const { messageCount } = await channelContext.channel.checkQueue(baseQueueName);
+
+            expect(messageCount).to.equal(3);
+        });
+
+        it('should reject with PublishBackpressureError when maxPendingPublishes is reached in reject mode', async () => {
+            const options = { maxPendingPublishes: 1, backpressureMode: 'reject' };
+
+            publishChannelContext.writable = false;
+
+            const promise = publish(0, options);
+
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            await expect(publish(1, options)).to.reject(Exceptions.PublishBackpressureError);
+
+            publishChannelContext.channel.emit('drain');
+            await promise;
+        });
+    });
+});
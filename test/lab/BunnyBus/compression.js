@@ -0,0 +1,141 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Zlib = require('zlib');
+const BunnyBus = require('../../../lib');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = Object.assign({}, BunnyBus.DEFAULT_SERVER_CONFIGURATION, {
+            compression: { encoding: 'gzip', threshold: 64 }
+        });
+    });
+
+    describe('compression', () => {
+        const baseChannelName = 'bunnybus-compression';
+        const baseQueueName = 'test-compression-queue';
+        const basePoisonQueueName = `${baseQueueName}_poison`;
+        const routeKey = 'compression.event';
+        const largeMessage = { event: routeKey, body: 'a'.repeat(1024) };
+        const smallMessage = { event: routeKey };
+
+        before(async () => {
+            channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+            await Promise.all([
+                channelContext.channel.deleteQueue(baseQueueName),
+                channelContext.channel.deleteQueue(basePoisonQueueName)
+            ]);
+        });
+
+        afterEach(async () => {
+            await instance.unsubscribe({ queue: baseQueueName });
+            await channelContext.channel.purgeQueue(baseQueueName);
+        });
+
+        after(async () => {
+            await Promise.all([
+                channelContext.channel.deleteExchange(instance.config.globalExchange),
+                channelContext.channel.deleteQueue(baseQueueName),
+                channelContext.channel.deleteQueue(basePoisonQueueName)
+            ]);
+
+            await instance.stop();
+        });
+
+        it('should compress a message that exceeds the threshold', async () => {
+            await instance.send({ message: largeMessage, queue: baseQueueName });
+
+            const payload = await instance.get({ queue: baseQueueName });
+
+            expect(payload.properties.contentEncoding).to.equal('gzip');
+            expect(JSON.parse(Zlib.gunzipSync(payload.content).toString())).to.equal(largeMessage);
+
+            await channelContext.channel.ack(payload);
+        });
+
+        it('should not compress a message under the threshold', async () => {
+            await instance.send({ message: smallMessage, queue: baseQueueName });
+
+            const payload = await instance.get({ queue: baseQueueName });
+
+            expect(payload.properties.contentEncoding).to.be.undefined();
+            expect(JSON.parse(payload.content.toString())).to.equal(smallMessage);
+
+            await channelContext.channel.ack(payload);
+        });
+
+        it('should not compress when compression is disabled through options', async () => {
+            await instance.send({ message: largeMessage, queue: baseQueueName, options: { compression: null } });
+
+            const payload = await instance.get({ queue: baseQueueName });
+
+            expect(payload.properties.contentEncoding).to.be.undefined();
+
+            await channelContext.channel.ack(payload);
+        });
+
+        it('should decompress a published message for subscribe', async () => {
+            await new Promise(async (resolve) => {
+                const handlers = {};
+                handlers[routeKey] = async ({ message, ack }) => {
+                    expect(message).to.equal(largeMessage);
+                    await ack();
+                    resolve();
+                };
+
+                await instance.subscribe({ queue: baseQueueName, handlers });
+                await instance.publish({ message: largeMessage });
+            });
+        });
+
+        it('should decompress a message for getAll', async () => {
+            const messages = [];
+
+            await instance.send({ message: largeMessage, queue: baseQueueName });
+            await instance.getAll({
+                queue: baseQueueName,
+                handler: async ({ message, ack }) => {
+                    messages.push(message);
+                    await ack();
+                }
+            });
+
+            expect(messages).to.equal([largeMessage]);
+        });
+
+        it('should reject a message that can not be decompressed to the poison queue', async () => {
+            await instance.subscribe({
+                queue: baseQueueName,
+                handlers: {
+                    [routeKey]: async ({ ack }) => {
+                        await ack();
+                    }
+                }
+            });
+
+            channelContext.channel.sendToQueue(baseQueueName, Buffer.from('{}'), {
+                contentEncoding: 'gzip',
+                headers: { routeKey }
+            });
+
+            await new Promise((resolve) => {
+                instance.once(BunnyBus.MESSAGE_REJECTED_EVENT, async () => {
+                    const payload = await instance.get({ queue: basePoisonQueueName });
+
+                    expect(payload).to.exist();
+                    expect(payload.properties.contentEncoding).to.equal('gzip');
+                    resolve();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,83 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../lib');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let connectionManager = undefined;
+let channelManager = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = Object.assign({}, BunnyBus.DEFAULT_SERVER_CONFIGURATION, {
+            connections: { publish: {}, consume: {}, admin: {} }
+        });
+        connectionManager = instance.connections;
+        channelManager = instance.channels;
+    });
+
+    describe('named connections', () => {
+        const baseQueueName = 'test-named-connections-queue';
+        const message = { event: 'named-connection.event', name: 'bunnybus' };
+
+        afterEach(async () => {
+            await instance.unsubscribe({ queue: baseQueueName });
+        });
+
+        after(async () => {
+            await instance.deleteExchange({ name: instance.config.globalExchange });
+            await instance.deleteQueue({ name: baseQueueName });
+            await instance.stop();
+        });
+
+        it('should create a connection per configured role', async () => {
+            await instance.createQueue({ name: baseQueueName });
+            await instance.publish({ message });
+            await instance.get({ queue: baseQueueName });
+
+            expect(connectionManager.contains(BunnyBus.ADMIN_CONNECTION_NAME)).to.be.true();
+            expect(connectionManager.contains(BunnyBus.PUBLISH_CONNECTION_NAME)).to.be.true();
+            expect(connectionManager.contains(BunnyBus.CONSUME_CONNECTION_NAME)).to.be.true();
+            expect(connectionManager.contains(BunnyBus.DEFAULT_CONNECTION_NAME)).to.be.false();
+        });
+
+        it('should bind channels to the connection of their role', async () => {
+            await instance.send({ message, queue: baseQueueName });
+
+            expect(channelManager.get(BunnyBus.MANAGEMENT_CHANNEL_NAME()).connectionContext.name).to.equal(
+                BunnyBus.ADMIN_CONNECTION_NAME
+            );
+            expect(channelManager.get(BunnyBus.PUBLISH_CHANNEL_NAME()).connectionContext.name).to.equal(
+                BunnyBus.PUBLISH_CONNECTION_NAME
+            );
+            expect(channelManager.get(BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName)).connectionContext.name).to.equal(
+                BunnyBus.CONSUME_CONNECTION_NAME
+            );
+        });
+
+        it('should keep consuming when the publish connection is closed', async () => {
+            await instance.purgeQueue({ name: baseQueueName });
+
+            await new Promise(async (resolve) => {
+                const handlers = {};
+                handlers[message.event] = async ({ ack }) => {
+                    await ack();
+                    resolve();
+                };
+
+                await instance.subscribe({ queue: baseQueueName, handlers });
+                await connectionManager.close(BunnyBus.PUBLISH_CONNECTION_NAME);
+
+                expect(connectionManager.getConnection(BunnyBus.CONSUME_CONNECTION_NAME)).to.exist();
+                expect(instance.subscriptions.contains(baseQueueName)).to.be.true();
+
+                await instance.publish({ message });
+            });
+        });
+    });
+});
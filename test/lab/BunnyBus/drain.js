@@ -0,0 +1,86 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../lib');
+
+const { describe, before, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('public methods', () => {
+        describe('drain / depth', () => {
+            const baseChannelName = 'bunnybus-drain';
+            const baseQueueName = 'test-drain-queue';
+            const routeKey = 'drain.event';
+
+            before(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await channelContext.channel.deleteQueue(baseQueueName);
+            });
+
+            afterEach(async () => {
+                await instance.unsubscribe({ queue: baseQueueName });
+                await channelContext.channel.purgeQueue(baseQueueName);
+            });
+
+            after(async () => {
+                await Promise.all([
+                    channelContext.channel.deleteExchange(instance.config.globalExchange),
+                    channelContext.channel.deleteQueue(baseQueueName)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should report 0 for a queue that is not subscribed', async () => {
+                expect(instance.depth({ queue: baseQueueName })).to.equal(0);
+                await instance.drain({ queue: baseQueueName });
+            });
+
+            it('should report waiting messages and resolve drain once every handler finished', async () => {
+                const total = 3;
+                let completed = 0;
+
+                await instance.createQueue({ name: baseQueueName });
+
+                for (let i = 0; i < total; ++i) {
+                    await instance.send({ message: { event: routeKey }, queue: baseQueueName });
+                }
+
+                await new Promise(async (resolve) => {
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async ({ ack }) => {
+                                resolve();
+                                await new Promise((timeoutResolve) => setTimeout(timeoutResolve, 50));
+                                await ack();
+                                ++completed;
+                            }
+                        },
+                        options: { dispatchType: 'serial' }
+                    });
+                });
+
+                await new Promise((resolve) => setTimeout(resolve, 20));
+
+                expect(instance.depth({ queue: baseQueueName })).to.equal(total - 1);
+
+                await instance.drain({ queue: baseQueueName });
+
+                expect(completed).to.equal(total);
+                expect(instance.depth({ queue: baseQueueName })).to.equal(0);
+            });
+        });
+    });
+});
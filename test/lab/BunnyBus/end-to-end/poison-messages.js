@@ -65,6 +65,48 @@ describe('BunnyBus', () => {
                 });
             });
 
+            it('should error when message caught by subscribe has a content type without a registered serializer', async () => {
+                await instance.subscribe({
+                    queue: baseQueueName,
+                    handlers: {
+                        ec: async ({ ack }) => {
+                            await ack();
+                        }
+                    }
+                });
+
+                channelContext.channel.sendToQueue(baseQueueName, Buffer.from('{}', 'utf-8'), {
+                    contentType: 'application/x-unknown',
+                    headers: { routeKey: 'ec' }
+                });
+
+                await new Promise((resolve) => {
+                    instance.once(BunnyBus.MESSAGE_REJECTED_EVENT, async () => {
+                        expect(await instance.get({ queue: basePoisonQueueName })).to.exist();
+                        resolve();
+                    });
+                });
+            });
+
+            it('should error when message caught by getAll is not a deserializable JSON buffer', async () => {
+                const badJSONBuffer = Buffer.from('{ "hello": "world ', 'utf-8');
+                let handled = false;
+
+                await channelContext.channel.assertQueue(baseQueueName, BunnyBus.DEFAULT_QUEUE_CONFIGURATION);
+                await channelContext.channel.sendToQueue(baseQueueName, badJSONBuffer, { headers: { routeKey: 'ec' } });
+
+                await instance.getAll({
+                    queue: baseQueueName,
+                    handler: async ({ ack }) => {
+                        handled = true;
+                        await ack();
+                    }
+                });
+
+                expect(handled).to.be.false();
+                expect(await instance.get({ queue: basePoisonQueueName })).to.exist();
+            });
+
             it('should not error when message caught by subscribe is not a deserializable JSON buffer when "rejectPoisonMessages" is false', async () => {
                 const badJSONBuffer = Buffer.from('{ "hello": "world ', 'utf-8');
 
@@ -0,0 +1,78 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../../lib');
+const Helpers = require('../../../../lib/helpers');
+const TopicBindings = require('../../fixtures/topicBindings');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('end to end', () => {
+        describe('route matching', () => {
+            const baseChannelName = 'bunnybus-route-matching';
+            const baseExchangeName = 'test-route-matching-exchange';
+            const bindings = Object.keys(TopicBindings.bindings);
+            const queueName = (binding) => `test-route-matching-queue-${binding}`;
+
+            before(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await channelContext.channel.assertExchange(baseExchangeName, 'topic', { durable: false });
+
+                for (const binding of bindings) {
+                    await channelContext.channel.assertQueue(queueName(binding), { durable: false });
+                    await channelContext.channel.purgeQueue(queueName(binding));
+                    await channelContext.channel.bindQueue(
+                        queueName(binding),
+                        baseExchangeName,
+                        TopicBindings.bindings[binding]
+                    );
+                }
+            });
+
+            after(async () => {
+                for (const binding of bindings) {
+                    await channelContext.channel.deleteQueue(queueName(binding));
+                }
+
+                await channelContext.channel.deleteExchange(baseExchangeName);
+                await instance.stop();
+            });
+
+            Object.keys(TopicBindings.routes).forEach((routeKey) => {
+                it(`should match the bindings the broker delivers "${routeKey}" to`, async () => {
+                    channelContext.channel.publish(baseExchangeName, routeKey, Buffer.from(routeKey));
+                    await channelContext.channel.waitForConfirms();
+
+                    const delivered = [];
+
+                    for (const binding of bindings) {
+                        const payload = await channelContext.channel.get(queueName(binding), { noAck: true });
+
+                        if (payload) {
+                            delivered.push(binding);
+                        }
+                    }
+
+                    const matched = bindings.filter((binding) =>
+                        Helpers.routeMatcher(TopicBindings.bindings[binding], routeKey)
+                    );
+
+                    expect(delivered).to.equal(TopicBindings.routes[routeKey]);
+                    expect(matched).to.equal(delivered);
+                });
+            });
+        });
+    });
+});
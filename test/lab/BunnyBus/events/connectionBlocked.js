@@ -0,0 +1,109 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../../lib');
+const Exceptions = require('../../../../lib/exceptions');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let connectionContext = undefined;
+
+describe('BunnyBus', () => {
+    describe('events', () => {
+        before(async () => {
+            instance = new BunnyBus();
+            instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+        });
+
+        describe('connection blocked', () => {
+            const baseChannelName = 'bunnybus-events-connection-blocked';
+            const message = { event: 'connection-blocked.event' };
+
+            beforeEach(async () => {
+                const channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                connectionContext = channelContext.connectionContext;
+            });
+
+            afterEach(async () => {
+                if (connectionContext.blocked) {
+                    connectionContext.connection.emit('unblocked');
+                }
+            });
+
+            after(async () => {
+                await instance.stop();
+            });
+
+            it('should emit CONNECTION_BLOCKED_EVENT when the broker blocks the connection', async () => {
+                const promise = new Promise((resolve) => {
+                    instance.once(BunnyBus.CONNECTION_BLOCKED_EVENT, (connectionName, reason) => {
+                        expect(connectionName).to.equal(BunnyBus.DEFAULT_CONNECTION_NAME);
+                        expect(reason).to.equal('low memory');
+                        resolve();
+                    });
+                });
+
+                connectionContext.connection.emit('blocked', 'low memory');
+
+                await promise;
+
+                expect(instance.healthy).to.be.false();
+            });
+
+            it('should emit CONNECTION_UNBLOCKED_EVENT when the broker unblocks the connection', async () => {
+                const promise = new Promise((resolve) => {
+                    instance.once(BunnyBus.CONNECTION_UNBLOCKED_EVENT, (connectionName) => {
+                        expect(connectionName).to.equal(BunnyBus.DEFAULT_CONNECTION_NAME);
+                        resolve();
+                    });
+                });
+
+                connectionContext.connection.emit('blocked', 'low memory');
+                connectionContext.connection.emit('unblocked');
+
+                await promise;
+
+                expect(instance.healthy).to.be.true();
+            });
+
+            it('should hold publishes until the connection is unblocked', async () => {
+                let published = false;
+
+                connectionContext.connection.emit('blocked', 'low memory');
+
+                const promise = instance.publish({ message }).then(() => {
+                    published = true;
+                });
+
+                await new Promise((resolve) => setTimeout(resolve, 50));
+
+                expect(published).to.be.false();
+
+                connectionContext.connection.emit('unblocked');
+                await promise;
+
+                expect(published).to.be.true();
+            });
+
+            it('should reject with ConnectionBlockedError when blockedTimeout is exceeded', async () => {
+                connectionContext.connection.emit('blocked', 'low memory');
+
+                await expect(instance.publish({ message, options: { blockedTimeout: 20 } })).to.reject(
+                    Exceptions.ConnectionBlockedError
+                );
+            });
+
+            it('should reject with ConnectionBlockedError right away when blockedMode is reject', async () => {
+                connectionContext.connection.emit('blocked', 'low memory');
+
+                await expect(instance.publish({ message, options: { blockedMode: 'reject' } })).to.reject(
+                    Exceptions.ConnectionBlockedError
+                );
+            });
+        });
+    });
+});
@@ -83,6 +83,20 @@ describe('BunnyBus', () => {
                 await Promise.all([connectionManager.close(BunnyBus.DEFAULT_CONNECTION_NAME), promise]);
             });
 
+            it('should emit RECOVERED_CONNECTION_EVENT with the connected host when closed connection is recovered', async () => {
+                const promise = new Promise((resolve) => {
+                    instance.once(BunnyBus.RECOVERED_CONNECTION_EVENT, (connectionName, host) => {
+                        expect(host).to.equal({
+                            hostname: instance.config.hostname,
+                            port: instance.config.port
+                        });
+                        resolve();
+                    });
+                });
+
+                await Promise.all([connectionManager.close(BunnyBus.DEFAULT_CONNECTION_NAME), promise]);
+            });
+
             it('should emit RECOVERED_CHANNEL_EVENT when closed connection is recovered', async () => {
                 const promise = new Promise((resolve) => {
                     instance.once(BunnyBus.RECOVERED_CHANNEL_EVENT, (channelName) => {
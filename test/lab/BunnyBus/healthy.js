@@ -70,6 +70,25 @@ describe('BunnyBus', () => {
                     expect(result).to.be.false();
                 });
             });
+
+            describe('when a connection is blocked', () => {
+                before(() => {
+                    stub = Sinon.stub(instance.connections, 'blocked').get(() => true);
+
+                    expect(instance.connections.healthy).to.be.true();
+                    expect(instance.channels.healthy).to.be.true();
+                });
+
+                after(() => {
+                    stub.restore();
+                });
+
+                it('should be false', async () => {
+                    const result = instance.healthy;
+
+                    expect(result).to.be.false();
+                });
+            });
         });
     });
 });
@@ -0,0 +1,117 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../lib');
+
+const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('public methods', () => {
+        describe('inspectErrors', () => {
+            const baseChannelName = 'bunnybus-inspectErrors';
+            const baseQueueName = 'test-inspectErrors-queue';
+            const baseErrorQueueName = `${baseQueueName}_error`;
+            const basePoisonQueueName = `${baseQueueName}_poison`;
+            const customErrorQueueName = `${baseQueueName}-custom-error`;
+
+            const reject = async (errorQueue, reason, routeKey) => {
+                await instance.send({ message: { name: 'bunnybus' }, queue: baseQueueName, options: { routeKey } });
+
+                const payload = await instance.get({ queue: baseQueueName });
+
+                await instance._reject(
+                    { payload, channelName: BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName), errorQueue },
+                    { reason }
+                );
+            };
+
+            before(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await Promise.all([
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName),
+                    channelContext.channel.deleteQueue(basePoisonQueueName),
+                    channelContext.channel.deleteQueue(customErrorQueueName)
+                ]);
+            });
+
+            beforeEach(async () => {
+                await instance.createQueue({ name: baseQueueName });
+                await instance.createQueue({ name: baseErrorQueueName });
+                await Promise.all([
+                    channelContext.channel.purgeQueue(baseQueueName),
+                    channelContext.channel.purgeQueue(baseErrorQueueName)
+                ]);
+            });
+
+            after(async () => {
+                await Promise.all([
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName),
+                    channelContext.channel.deleteQueue(basePoisonQueueName),
+                    channelContext.channel.deleteQueue(customErrorQueueName)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should summarize the error queue without removing messages', async () => {
+                await reject(baseErrorQueueName, 'timeout', 'a.b');
+                await reject(baseErrorQueueName, 'timeout', 'a.c');
+                await reject(baseErrorQueueName, 'invalid', 'a.b');
+
+                const result = await instance.inspectErrors({ queue: baseQueueName });
+
+                expect(result.queues[baseErrorQueueName]).to.equal({ messageCount: 3, inspected: 3 });
+                expect(result.queues[basePoisonQueueName]).to.equal({ messageCount: 0, inspected: 0 });
+                expect(result.total).to.equal(3);
+                expect(result.byReason).to.equal({ timeout: 2, invalid: 1 });
+                expect(result.byRouteKey).to.equal({ 'a.b': 2, 'a.c': 1 });
+                expect(result.byAge).to.equal({ '1m': 3 });
+                expect(await instance.checkQueue({ name: baseErrorQueueName })).to.include({ messageCount: 3 });
+            });
+
+            it('should include the poison queue', async () => {
+                await reject(basePoisonQueueName, 'poison', 'a.b');
+
+                const result = await instance.inspectErrors({ queue: baseQueueName });
+
+                expect(result.queues[basePoisonQueueName]).to.equal({ messageCount: 1, inspected: 1 });
+                expect(result.byReason).to.equal({ poison: 1 });
+            });
+
+            it('should inspect no more than limit messages per queue', async () => {
+                for (let i = 0; i < 3; ++i) {
+                    await reject(baseErrorQueueName, 'timeout', 'a.b');
+                }
+
+                const result = await instance.inspectErrors({ queue: baseQueueName, limit: 2 });
+
+                expect(result.queues[baseErrorQueueName]).to.equal({ messageCount: 3, inspected: 2 });
+                expect(result.total).to.equal(2);
+            });
+
+            it('should browse a custom errorQueue instead of the default error queue', async () => {
+                await instance.createQueue({ name: customErrorQueueName });
+                await reject(customErrorQueueName, 'timeout', 'a.b');
+
+                const result = await instance.inspectErrors({ queue: baseQueueName, errorQueue: customErrorQueueName });
+
+                expect(result.queues[customErrorQueueName]).to.equal({ messageCount: 1, inspected: 1 });
+                expect(result.queues[baseErrorQueueName]).to.not.exist();
+                expect(result.byReason).to.equal({ timeout: 1 });
+            });
+        });
+    });
+});
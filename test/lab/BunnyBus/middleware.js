@@ -0,0 +1,398 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../lib');
+const Exceptions = require('../../../lib/exceptions');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    beforeEach(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('middleware', () => {
+        const baseChannelName = 'bunnybus-middleware';
+        const baseQueueName = 'test-middleware-queue';
+        const baseErrorQueueName = `${baseQueueName}_error`;
+        const routeKey = 'middleware.event';
+
+        describe('usePublish', () => {
+            beforeEach(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await Promise.all([
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+            });
+
+            afterEach(async () => {
+                await Promise.all([
+                    channelContext.channel.deleteExchange(instance.config.globalExchange),
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should throw IncompatibleMiddlewareError when middleware is not a function', async () => {
+                expect(() => instance.usePublish({})).to.throw(Exceptions.IncompatibleMiddlewareError);
+            });
+
+            it('should mutate message, headers and options on send', async () => {
+                instance.usePublish(async (context, next) => {
+                    expect(context.action).to.equal('send');
+                    expect(context.queue).to.equal(baseQueueName);
+
+                    context.message = Object.assign({}, context.message, { tenantId: 'abc' });
+                    context.headers.traceId = 'trace-1';
+                    context.options.priority = 5;
+
+                    await next();
+                });
+
+                await instance.send({ message: { a: 1 }, queue: baseQueueName, options: { routeKey } });
+
+                const payload = await instance.get({ queue: baseQueueName });
+
+                expect(JSON.parse(payload.content.toString())).to.equal({ a: 1, tenantId: 'abc' });
+                expect(payload.properties.headers.traceId).to.equal('trace-1');
+                expect(payload.properties.priority).to.equal(5);
+            });
+
+            it('should run middleware in registration order on publish', async () => {
+                const calls = [];
+
+                instance.usePublish(async (context, next) => {
+                    calls.push(`first:${context.action}`);
+                    await next();
+                });
+                instance.usePublish(async (context, next) => {
+                    calls.push(`second:${context.action}`);
+                    await next();
+                });
+
+                await instance.publish({ message: { event: routeKey } });
+
+                expect(calls).to.equal(['first:publish', 'second:publish']);
+            });
+
+            it('should abort the publish when next is not called', async () => {
+                let published = false;
+
+                instance.once(BunnyBus.PUBLISHED_EVENT, () => {
+                    published = true;
+                });
+                instance.usePublish(async () => {});
+
+                await instance.publish({ message: { event: routeKey } });
+
+                expect(published).to.be.false();
+            });
+
+            it('should apply to requeue and reject republishes', async () => {
+                const actions = [];
+
+                instance.usePublish(async (context, next) => {
+                    actions.push(context.action);
+                    context.headers.traceId = 'trace-1';
+                    await next();
+                });
+
+                await instance.send({ message: { a: 1 }, queue: baseQueueName, options: { routeKey } });
+                const payload = await instance.get({ queue: baseQueueName });
+
+                await instance._requeue({
+                    payload,
+                    channelName: BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName),
+                    queue: baseQueueName
+                });
+
+                const requeued = await instance.get({ queue: baseQueueName });
+
+                expect(requeued.properties.headers.traceId).to.equal('trace-1');
+
+                await instance._reject({
+                    payload: requeued,
+                    channelName: BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName),
+                    errorQueue: baseErrorQueueName
+                });
+
+                const rejected = await instance.get({ queue: baseErrorQueueName });
+
+                expect(rejected.properties.headers.traceId).to.equal('trace-1');
+                expect(actions).to.include(['send', 'requeue', 'reject']);
+            });
+
+            it('should pass the parsed message to middleware on every action', async () => {
+                const seen = [];
+
+                instance.usePublish(async (context, next) => {
+                    seen.push({ action: context.action, message: context.message, headers: context.headers });
+
+                    if (context.action === 'requeue') {
+                        context.message = Object.assign({}, context.message, { b: 2 });
+                    }
+
+                    await next();
+                });
+
+                await instance.send({
+                    message: { a: 1 },
+                    queue: baseQueueName,
+                    options: { routeKey, headers: { tenantId: 't1' } }
+                });
+
+                const payload = await instance.get({ queue: baseQueueName });
+
+                await instance._requeue({
+                    payload,
+                    channelName: BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName),
+                    queue: baseQueueName
+                });
+
+                const requeued = await instance.get({ queue: baseQueueName });
+
+                await instance._reject({
+                    payload: requeued,
+                    channelName: BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName),
+                    errorQueue: baseErrorQueueName
+                });
+
+                const rejected = await instance.get({ queue: baseErrorQueueName });
+
+                expect(seen.map(({ action }) => action)).to.equal(['send', 'requeue', 'reject']);
+                expect(seen[0].headers).to.equal({ tenantId: 't1' });
+                expect(seen[1].message).to.equal({ a: 1 });
+                expect(seen[2].message).to.equal({ a: 1, b: 2 });
+                expect(JSON.parse(rejected.content.toString())).to.equal({ a: 1, b: 2 });
+            });
+        });
+
+        describe('usePublish aborting a republish', () => {
+            beforeEach(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await Promise.all([
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+                await instance.createQueue({ name: baseErrorQueueName });
+            });
+
+            afterEach(async () => {
+                await Promise.all([
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should acknowledge the message and emit MESSAGE_ABORTED_EVENT when requeue and reject are aborted', async () => {
+                const events = [];
+
+                instance.on(BunnyBus.MESSAGE_REQUEUED_EVENT, () => events.push('requeued'));
+                instance.on(BunnyBus.MESSAGE_REJECTED_EVENT, () => events.push('rejected'));
+                instance.on(BunnyBus.MESSAGE_ABORTED_EVENT, (metaData, message, action) => {
+                    events.push({ action, message });
+                });
+                instance.usePublish(async (context, next) => {
+                    if (context.action === 'send') {
+                        await next();
+                    }
+                });
+
+                await instance.send({ message: { a: 1 }, queue: baseQueueName, options: { routeKey } });
+                await instance.send({ message: { a: 2 }, queue: baseQueueName, options: { routeKey } });
+
+                await instance._requeue({
+                    payload: await instance.get({ queue: baseQueueName }),
+                    channelName: BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName),
+                    queue: baseQueueName
+                });
+                await instance._reject({
+                    payload: await instance.get({ queue: baseQueueName }),
+                    channelName: BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName),
+                    errorQueue: baseErrorQueueName
+                });
+
+                const { messageCount } = await channelContext.channel.checkQueue(baseErrorQueueName);
+                const stillQueued = await instance.get({ queue: baseQueueName });
+
+                expect(messageCount).to.equal(0);
+                expect(stillQueued).to.be.false();
+                expect(events).to.equal([
+                    { action: 'requeue', message: { a: 1 } },
+                    { action: 'reject', message: { a: 2 } }
+                ]);
+            });
+
+            it('should not redeliver a message whose rejection is aborted while consuming', async () => {
+                let delivered = 0;
+
+                instance.usePublish(async (context, next) => {
+                    if (context.action !== 'reject') {
+                        await next();
+                    }
+                });
+
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.MESSAGE_ABORTED_EVENT, resolve);
+
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async ({ rej }) => {
+                                ++delivered;
+                                await rej({ reason: 'nope' });
+                            }
+                        }
+                    });
+
+                    await instance.send({ message: { a: 1 }, queue: baseQueueName, options: { routeKey } });
+                });
+
+                await new Promise((resolve) => setTimeout(resolve, 100));
+                await instance.unsubscribe({ queue: baseQueueName });
+
+                expect(delivered).to.equal(1);
+            });
+
+            it('should log a middleware error thrown while rejecting from the consumer', async () => {
+                instance.validators.register(routeKey, () => false);
+                instance.usePublish(async (context, next) => {
+                    if (context.action === 'reject') {
+                        throw new Error('middleware failure');
+                    }
+
+                    await next();
+                });
+
+                const err = await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.LOG_ERROR_EVENT, resolve);
+
+                    await instance.subscribe({ queue: baseQueueName, handlers: { [routeKey]: async () => {} } });
+                    await instance.send({ message: { a: 1 }, queue: baseQueueName, options: { routeKey } });
+                });
+
+                await instance.unsubscribe({ queue: baseQueueName });
+
+                expect(err).to.be.an.error('middleware failure');
+            });
+        });
+
+        describe('useConsume', () => {
+            beforeEach(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await channelContext.channel.deleteQueue(baseQueueName);
+            });
+
+            afterEach(async () => {
+                await instance.unsubscribe({ queue: baseQueueName });
+                await Promise.all([
+                    channelContext.channel.deleteExchange(instance.config.globalExchange),
+                    channelContext.channel.deleteQueue(baseQueueName)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should throw IncompatibleMiddlewareError when middleware is not a function', async () => {
+                expect(() => instance.useConsume(null)).to.throw(Exceptions.IncompatibleMiddlewareError);
+            });
+
+            it('should run middleware in registration order around subscribe handlers', async () => {
+                const calls = [];
+
+                instance.useConsume(async (context, next) => {
+                    calls.push('first:before');
+                    expect(context.queue).to.equal(baseQueueName);
+                    expect(context.ack).to.be.a.function();
+                    expect(context.rej).to.be.a.function();
+                    expect(context.requeue).to.be.a.function();
+                    await next();
+                    calls.push('first:after');
+                });
+                instance.useConsume(async (context, next) => {
+                    calls.push('second:before');
+                    context.metaData.tenantId = 'abc';
+                    await next();
+                    calls.push('second:after');
+                });
+
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.MESSAGE_ACKED_EVENT, () => setImmediate(resolve));
+
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async ({ metaData, ack }) => {
+                                calls.push('handler');
+                                expect(metaData.tenantId).to.equal('abc');
+                                await ack();
+                            }
+                        }
+                    });
+                    await instance.publish({ message: { event: routeKey } });
+                });
+
+                expect(calls).to.equal(['first:before', 'second:before', 'handler', 'second:after', 'first:after']);
+            });
+
+            it('should short circuit subscribe handlers when next is not called', async () => {
+                let handled = false;
+
+                instance.useConsume(async ({ ack }) => {
+                    await ack();
+                });
+
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.MESSAGE_ACKED_EVENT, resolve);
+
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async ({ ack }) => {
+                                handled = true;
+                                await ack();
+                            }
+                        }
+                    });
+                    await instance.publish({ message: { event: routeKey } });
+                });
+
+                expect(handled).to.be.false();
+            });
+
+            it('should run middleware around getAll handlers', async () => {
+                const calls = [];
+
+                instance.useConsume(async (context, next) => {
+                    calls.push(`middleware:${context.queue}`);
+                    await next();
+                });
+
+                await instance.send({ message: { a: 1 }, queue: baseQueueName, options: { routeKey } });
+                await instance.getAll({
+                    queue: baseQueueName,
+                    handler: async ({ ack }) => {
+                        calls.push('handler');
+                        await ack();
+                    }
+                });
+
+                expect(calls).to.equal([`middleware:${baseQueueName}`, 'handler']);
+            });
+        });
+    });
+});
@@ -0,0 +1,123 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../lib');
+const Exceptions = require('../../../lib/exceptions');
+
+const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('public methods', () => {
+        describe('publishBatch', () => {
+            const baseChannelName = 'bunnybus-publishBatch';
+            const baseQueueName = 'test-publishBatch-queue';
+            const routeKey = 'publish-batch.event';
+
+            before(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await Promise.all([
+                    channelContext.channel.assertQueue(baseQueueName, BunnyBus.DEFAULT_QUEUE_CONFIGURATION),
+                    channelContext.channel.assertExchange(instance.config.globalExchange, 'topic')
+                ]);
+
+                await channelContext.channel.bindQueue(baseQueueName, instance.config.globalExchange, routeKey);
+            });
+
+            beforeEach(async () => {
+                await channelContext.channel.purgeQueue(baseQueueName);
+            });
+
+            after(async () => {
+                await channelContext.channel.deleteQueue(baseQueueName);
+                await instance.stop();
+            });
+
+            it('should publish every message and resolve with results in order', async () => {
+                const messages = Array.from({ length: 50 }, (_, index) => ({ event: routeKey, index }));
+
+                const results = await instance.publishBatch({ messages });
+                const { messageCount } = await channelContext.channel.checkQueue(baseQueueName);
+
+                expect(results).to.have.length(50);
+                expect(results.every(({ published }) => published)).to.be.true();
+                expect(results.map(({ message }) => message.index)).to.equal(messages.map(({ index }) => index));
+                expect(messageCount).to.equal(50);
+            });
+
+            it('should report a failing message without failing the rest of the batch', async () => {
+                instance.validators.register(routeKey, (message) => message.index !== 1);
+
+                const results = await instance.publishBatch({
+                    messages: [0, 1, 2].map((index) => ({ event: routeKey, index }))
+                });
+
+                instance.validators.remove(routeKey);
+
+                expect(results.map(({ published }) => published)).to.equal([true, false, true]);
+                expect(results[1].error).to.be.an.instanceof(Exceptions.MessageValidationError);
+            });
+
+            it('should assert the exchange once for the whole batch', async () => {
+                const managementChannelContext = await instance._autoBuildChannelContext({
+                    channelName: BunnyBus.MANAGEMENT_CHANNEL_NAME()
+                });
+                const assertExchange = managementChannelContext.channel.assertExchange;
+                let asserted = 0;
+
+                managementChannelContext.channel.assertExchange = (...args) => {
+                    ++asserted;
+                    return assertExchange.apply(managementChannelContext.channel, args);
+                };
+
+                const messages = Array.from({ length: 10 }, (_, index) => ({ event: routeKey, index }));
+
+                try {
+                    await instance.publishBatch({ messages });
+                } finally {
+                    managementChannelContext.channel.assertExchange = assertExchange;
+                }
+
+                const { messageCount } = await channelContext.channel.checkQueue(baseQueueName);
+
+                expect(asserted).to.equal(1);
+                expect(messageCount).to.equal(10);
+            });
+
+            it('should apply options to every message', async () => {
+                await instance.publishBatch({ messages: [{ event: routeKey }], options: { source: 'batch' } });
+
+                const payload = await channelContext.channel.get(baseQueueName);
+
+                expect(payload.properties.headers.source).to.equal('batch');
+
+                await channelContext.channel.ack(payload);
+            });
+
+            it('should confirm single messages with pipelined publishConfirms', async () => {
+                await Promise.all(
+                    [0, 1, 2].map((index) => {
+                        return instance.publish({
+                            message: { event: routeKey, index },
+                            options: { publishConfirms: 'pipelined' }
+                        });
+                    })
+                );
+
+                const { messageCount } = await channelContext.channel.checkQueue(baseQueueName);
+
+                expect(messageCount).to.equal(3);
+            });
+        });
+    });
+});
@@ -0,0 +1,171 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../lib');
+
+const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('public methods', () => {
+        describe('redrive', () => {
+            const baseChannelName = 'bunnybus-redrive';
+            const baseQueueName = 'test-redrive-queue';
+            const baseErrorQueueName = `${baseQueueName}_error`;
+            const boundQueueName = 'test-redrive-bound-queue';
+            const routeKey = 'redrive.event';
+
+            const reject = async (message, options) => {
+                await instance.publish({ message, options: Object.assign({ routeKey }, options) });
+
+                const payload = await instance.get({ queue: baseQueueName });
+
+                await instance._reject({
+                    payload,
+                    channelName: BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName),
+                    queue: baseQueueName,
+                    errorQueue: baseErrorQueueName
+                });
+            };
+
+            before(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await instance.createExchange({ name: instance.config.globalExchange, type: 'topic' });
+                await instance.createQueue({ name: baseQueueName });
+                await instance.createQueue({ name: boundQueueName });
+                await instance.createQueue({ name: baseErrorQueueName });
+                await channelContext.channel.bindQueue(baseQueueName, instance.config.globalExchange, routeKey);
+                await channelContext.channel.bindQueue(boundQueueName, instance.config.globalExchange, routeKey);
+            });
+
+            beforeEach(async () => {
+                await Promise.all([
+                    channelContext.channel.purgeQueue(baseQueueName),
+                    channelContext.channel.purgeQueue(boundQueueName),
+                    channelContext.channel.purgeQueue(baseErrorQueueName)
+                ]);
+            });
+
+            after(async () => {
+                await Promise.all([
+                    channelContext.channel.deleteExchange(instance.config.globalExchange),
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(boundQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should move rejected messages back to the queue they were rejected from', async () => {
+                await reject({ name: 'bunnybus' });
+                await channelContext.channel.purgeQueue(boundQueueName);
+
+                const results = await instance.redrive({ errorQueue: baseErrorQueueName });
+                const payload = await instance.get({ queue: baseQueueName });
+
+                expect(results).to.have.length(1);
+                expect(results[0].destination).to.equal({ queue: baseQueueName });
+                expect(JSON.parse(payload.content.toString())).to.equal({ name: 'bunnybus' });
+                expect(payload.properties.headers.redrivenAt).to.exist();
+                expect(payload.properties.headers.reason).to.not.exist();
+                expect(await channelContext.channel.checkQueue(baseErrorQueueName)).to.include({ messageCount: 0 });
+
+                await channelContext.channel.ack(payload);
+            });
+
+            it('should not copy messages to other queues bound to the same route key', async () => {
+                await reject({ name: 'bunnybus' });
+                await channelContext.channel.purgeQueue(boundQueueName);
+
+                await instance.redrive({ errorQueue: baseErrorQueueName });
+
+                expect(await channelContext.channel.checkQueue(baseQueueName)).to.include({ messageCount: 1 });
+                expect(await channelContext.channel.checkQueue(boundQueueName)).to.include({ messageCount: 0 });
+            });
+
+            it('should move messages sent without a bound route key', async () => {
+                await instance.send({ message: { name: 'bunnybus' }, queue: baseQueueName });
+
+                const payload = await instance.get({ queue: baseQueueName });
+
+                await instance._reject({
+                    payload,
+                    channelName: BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName),
+                    queue: baseQueueName,
+                    errorQueue: baseErrorQueueName
+                });
+
+                const results = await instance.redrive({ errorQueue: baseErrorQueueName });
+
+                expect(results).to.have.length(1);
+                expect(await channelContext.channel.checkQueue(baseQueueName)).to.include({ messageCount: 1 });
+            });
+
+            it('should emit MESSAGE_REDRIVEN_EVENT for every message moved', async () => {
+                await reject({ name: 'bunnybus' });
+
+                const [[metaData, message]] = await Promise.all([
+                    new Promise((resolve) => {
+                        instance.once(BunnyBus.MESSAGE_REDRIVEN_EVENT, (...args) => resolve(args));
+                    }),
+                    instance.redrive({ errorQueue: baseErrorQueueName })
+                ]);
+
+                expect(message).to.equal({ name: 'bunnybus' });
+                expect(metaData.headers.redrivenAt).to.exist();
+            });
+
+            it('should move messages to targetQueue and reset the retry count', async () => {
+                await reject({ name: 'bunnybus' }, { headers: { retryCount: 3 } });
+
+                await instance.redrive({
+                    errorQueue: baseErrorQueueName,
+                    targetQueue: baseQueueName,
+                    resetRetryCount: true
+                });
+                const payload = await instance.get({ queue: baseQueueName });
+
+                expect(payload.properties.headers.retryCount).to.equal(0);
+
+                await channelContext.channel.ack(payload);
+            });
+
+            it('should only move messages passing the filter up to limit', async () => {
+                for (let i = 0; i < 4; ++i) {
+                    await reject({ index: i });
+                }
+
+                const results = await instance.redrive({
+                    errorQueue: baseErrorQueueName,
+                    filter: ({ message }) => message.index > 0,
+                    limit: 2
+                });
+
+                expect(results.map(({ message }) => message.index)).to.equal([1, 2]);
+                expect(await channelContext.channel.checkQueue(baseQueueName)).to.include({ messageCount: 2 });
+                expect(await channelContext.channel.checkQueue(baseErrorQueueName)).to.include({ messageCount: 2 });
+            });
+
+            it('should leave messages in place on dryRun', async () => {
+                await reject({ name: 'bunnybus' });
+
+                const results = await instance.redrive({ errorQueue: baseErrorQueueName, dryRun: true });
+
+                expect(results).to.have.length(1);
+                expect(await channelContext.channel.checkQueue(baseQueueName)).to.include({ messageCount: 0 });
+                expect(await channelContext.channel.checkQueue(baseErrorQueueName)).to.include({ messageCount: 1 });
+            });
+        });
+    });
+});
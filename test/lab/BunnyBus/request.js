@@ -0,0 +1,117 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../lib');
+const Exceptions = require('../../../lib/exceptions');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('public methods', () => {
+        describe('request', () => {
+            const baseChannelName = 'bunnybus-request';
+            const baseQueueName = 'test-request-queue';
+            const message = { event: 'request.sum', numbers: [1, 2, 3] };
+
+            before(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await channelContext.channel.deleteQueue(baseQueueName);
+            });
+
+            afterEach(async () => {
+                await instance.unsubscribe({ queue: baseQueueName });
+                await channelContext.channel.purgeQueue(baseQueueName);
+            });
+
+            after(async () => {
+                await Promise.all([
+                    channelContext.channel.deleteExchange(instance.config.globalExchange),
+                    channelContext.channel.deleteQueue(baseQueueName)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should resolve with the reply when request is sent to a queue', async () => {
+                const handlers = {};
+                handlers[message.event] = async ({ message: consumedMessage, metaData, ack, reply }) => {
+                    await reply({ sum: consumedMessage.numbers.reduce((a, b) => a + b, 0) });
+                    await ack();
+                };
+
+                await instance.subscribe({ queue: baseQueueName, handlers });
+
+                const result = await instance.request({ message, queue: baseQueueName });
+
+                expect(result.message).to.equal({ sum: 6 });
+                expect(result.metaData.headers.routeKey).to.equal(message.event);
+            });
+
+            it('should resolve with the reply when request is published with a route key', async () => {
+                const handlers = {};
+                handlers['request.echo'] = async ({ message: consumedMessage, ack, reply }) => {
+                    await reply(consumedMessage);
+                    await ack();
+                };
+
+                await instance.subscribe({ queue: baseQueueName, handlers });
+
+                const result = await instance.request({ message: 'hello', routeKey: 'request.echo' });
+
+                expect(result.message).to.equal('hello');
+            });
+
+            it('should carry the correlationId supplied through options', async () => {
+                const correlationId = 'request-abc-123';
+                const handlers = {};
+                handlers[message.event] = async ({ metaData, ack, reply }) => {
+                    await reply({ ok: true });
+                    await ack();
+                };
+
+                await instance.subscribe({ queue: baseQueueName, handlers });
+
+                const result = await instance.request({ message, queue: baseQueueName, options: { correlationId } });
+
+                expect(result.message).to.equal({ ok: true });
+                expect(instance._pendingReplies.has(correlationId)).to.be.false();
+            });
+
+            it('should throw RequestTimeoutError when no reply is received in time', async () => {
+                const handlers = {};
+                handlers[message.event] = async ({ ack }) => await ack();
+
+                await instance.subscribe({ queue: baseQueueName, handlers });
+
+                await expect(instance.request({ message, queue: baseQueueName, timeout: 200 })).to.reject(
+                    Exceptions.RequestTimeoutError
+                );
+            });
+
+            it('should not reply when the consumed message has no replyTo', async () => {
+                await new Promise(async (resolve) => {
+                    const handlers = {};
+                    handlers[message.event] = async ({ ack, reply }) => {
+                        await reply({ ok: true });
+                        await ack();
+                        resolve();
+                    };
+
+                    await instance.subscribe({ queue: baseQueueName, handlers });
+                    await instance.send({ message, queue: baseQueueName });
+                });
+            });
+        });
+    });
+});
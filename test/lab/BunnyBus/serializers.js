@@ -0,0 +1,106 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../lib');
+const Exceptions = require('../../../lib/exceptions');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+        instance.serializers.register('application/x-reversed', {
+            serialize: (message) => Buffer.from(message.split('').reverse().join('')),
+            deserialize: (buffer) => buffer.toString().split('').reverse().join('')
+        });
+    });
+
+    describe('serializers', () => {
+        const baseChannelName = 'bunnybus-serializers';
+        const baseQueueName = 'test-serializers-queue';
+        const routeKey = 'serializer.event';
+
+        before(async () => {
+            channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+            await channelContext.channel.deleteQueue(baseQueueName);
+        });
+
+        afterEach(async () => {
+            await instance.unsubscribe({ queue: baseQueueName });
+        });
+
+        after(async () => {
+            await Promise.all([
+                channelContext.channel.deleteExchange(instance.config.globalExchange),
+                channelContext.channel.deleteQueue(baseQueueName)
+            ]);
+
+            await instance.stop();
+        });
+
+        it('should encode with the serializer of the content type and set contentType', async () => {
+            await instance.send({
+                message: 'hello',
+                queue: baseQueueName,
+                options: { routeKey, contentType: 'application/x-reversed' }
+            });
+
+            const payload = await instance.get({ queue: baseQueueName });
+
+            expect(payload.content.toString()).to.equal('olleh');
+            expect(payload.properties.contentType).to.equal('application/x-reversed');
+
+            await channelContext.channel.ack(payload);
+        });
+
+        it('should decode with the serializer of the content type on subscribe', async () => {
+            await new Promise(async (resolve) => {
+                const handlers = {};
+                handlers[routeKey] = async ({ message, ack }) => {
+                    expect(message).to.equal('hello');
+                    await ack();
+                    resolve();
+                };
+
+                await instance.subscribe({ queue: baseQueueName, handlers });
+                await instance.publish({
+                    message: 'hello',
+                    options: { routeKey, contentType: 'application/x-reversed' }
+                });
+            });
+        });
+
+        it('should decode with the serializer of the content type on getAll', async () => {
+            const messages = [];
+
+            await instance.send({
+                message: 'hello',
+                queue: baseQueueName,
+                options: { routeKey, contentType: 'application/x-reversed' }
+            });
+
+            await instance.getAll({
+                queue: baseQueueName,
+                handler: async ({ message, ack }) => {
+                    messages.push(message);
+                    await ack();
+                }
+            });
+
+            expect(messages).to.equal(['hello']);
+        });
+
+        it('should throw NoSerializerError when publishing with an unregistered content type', async () => {
+            await expect(
+                instance.publish({ message: { a: 1 }, options: { routeKey, contentType: 'application/x-unknown' } })
+            ).to.reject(Exceptions.NoSerializerError);
+        });
+    });
+});
@@ -47,6 +47,83 @@ describe('BunnyBus', () => {
                 expect(instance.channels.list()).to.be.length(0);
                 expect(instance.subscriptions.list()).to.be.length(0);
             });
+
+            it('should let in-flight handlers settle before closing when drainTimeout is given', async () => {
+                const events = [];
+
+                instance.once(BunnyBus.MESSAGE_ACKED_EVENT, () => events.push('acked'));
+                instance.once(BunnyBus.DRAINED_EVENT, (queue, { timedOut }) => events.push(`drained:${timedOut}`));
+                instance.once(BunnyBus.STOPPED_EVENT, () => events.push('stopped'));
+
+                await new Promise(async (resolve) => {
+                    await instance.subscribe({
+                        queue: baseQueueName1,
+                        handlers: {
+                            a: async ({ ack }) => {
+                                resolve();
+                                await new Promise((timeoutResolve) => setTimeout(timeoutResolve, 100));
+                                await ack();
+                            }
+                        }
+                    });
+                    await instance.publish({ message: { event: 'a' } });
+                });
+
+                await instance.stop({ drainTimeout: 1000 });
+
+                expect(events).to.equal(['acked', 'drained:false', 'stopped']);
+            });
+
+            it('should let in-flight handlers settle for the configured drainTimeout by default', async () => {
+                const events = [];
+
+                instance.once(BunnyBus.STOPPING_EVENT, (drainTimeout) => events.push(`stopping:${drainTimeout}`));
+                instance.once(BunnyBus.MESSAGE_ACKED_EVENT, () => events.push('acked'));
+                instance.once(BunnyBus.STOPPED_EVENT, () => events.push('stopped'));
+
+                await new Promise(async (resolve) => {
+                    await instance.subscribe({
+                        queue: baseQueueName1,
+                        handlers: {
+                            a: async ({ ack }) => {
+                                resolve();
+                                await new Promise((timeoutResolve) => setTimeout(timeoutResolve, 100));
+                                await ack();
+                            }
+                        }
+                    });
+                    await instance.publish({ message: { event: 'a' } });
+                });
+
+                await instance.stop();
+
+                expect(events).to.equal([`stopping:${instance.config.drainTimeout}`, 'acked', 'stopped']);
+            });
+
+            it('should report a timed out drain', async () => {
+                let drained = null;
+
+                instance.once(BunnyBus.DRAINED_EVENT, (queue, result) => {
+                    drained = result;
+                });
+
+                await new Promise(async (resolve) => {
+                    await instance.subscribe({
+                        queue: baseQueueName1,
+                        handlers: {
+                            a: async () => {
+                                resolve();
+                                await new Promise((timeoutResolve) => setTimeout(timeoutResolve, 200));
+                            }
+                        }
+                    });
+                    await instance.publish({ message: { event: 'a' } });
+                });
+
+                await instance.stop({ drainTimeout: 20 });
+
+                expect(drained).to.equal({ cancelled: 0, timedOut: true });
+            });
         });
     });
 });
@@ -0,0 +1,137 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../../lib');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('public methods', () => {
+        describe('subscribe / unsubscribe (autoAck)', () => {
+            const baseChannelName = 'bunnybus-auto-ack';
+            const baseQueueName = 'test-auto-ack-queue';
+            const baseErrorQueueName = `${baseQueueName}_error`;
+            const routeKey = 'auto-ack.event';
+
+            before(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await Promise.all([
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+            });
+
+            afterEach(async () => {
+                await instance.unsubscribe({ queue: baseQueueName });
+                await Promise.all([
+                    channelContext.channel.purgeQueue(baseQueueName),
+                    channelContext.channel.purgeQueue(baseErrorQueueName)
+                ]);
+            });
+
+            after(async () => {
+                await Promise.all([
+                    channelContext.channel.deleteExchange(instance.config.globalExchange),
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should ack when the handler resolves', async () => {
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.MESSAGE_ACKED_EVENT, resolve);
+
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: { [routeKey]: async () => {} },
+                        options: { autoAck: true }
+                    });
+                    await instance.publish({ message: { event: routeKey } });
+                });
+            });
+
+            it('should requeue up to maxRetryCount when the handler throws', async () => {
+                let attempts = 0;
+
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.MESSAGE_REJECTED_EVENT, resolve);
+
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async () => {
+                                ++attempts;
+                                throw new Error('boom');
+                            }
+                        },
+                        options: { autoAck: true, maxRetryCount: 2 }
+                    });
+                    await instance.publish({ message: { event: routeKey } });
+                });
+
+                expect(attempts).to.equal(2);
+            });
+
+            it('should reject when the error is classified for rejection', async () => {
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.MESSAGE_REJECTED_EVENT, async () => {
+                        const payload = await instance.get({ queue: baseErrorQueueName });
+
+                        expect(payload.properties.headers.reason).to.equal(
+                            `handler failed for queue (${baseQueueName}) : boom`
+                        );
+                        resolve();
+                    });
+
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async () => {
+                                throw new Error('boom');
+                            }
+                        },
+                        options: { autoAck: true, classifyError: () => 'reject' }
+                    });
+                    await instance.publish({ message: { event: routeKey } });
+                });
+            });
+
+            it('should reject when the handler exceeds the timeout', async () => {
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.MESSAGE_REJECTED_EVENT, async () => {
+                        const payload = await instance.get({ queue: baseErrorQueueName });
+
+                        expect(payload.properties.headers.reason).to.equal(
+                            `handler exceeded timeout of 20ms for queue (${baseQueueName})`
+                        );
+                        resolve();
+                    });
+
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async () => {
+                                await new Promise((wait) => setTimeout(wait, 100));
+                            }
+                        },
+                        options: { autoAck: true, handlerTimeout: 20 }
+                    });
+                    await instance.publish({ message: { event: routeKey } });
+                });
+            });
+        });
+    });
+});
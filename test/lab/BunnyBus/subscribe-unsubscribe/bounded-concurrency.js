@@ -0,0 +1,121 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../../lib');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('public methods', () => {
+        describe('subscribe / unsubscribe (bounded dispatch)', () => {
+            const baseChannelName = 'bunnybus-bounded-concurrency';
+            const baseQueueName = 'test-bounded-concurrency-queue';
+            const baseErrorQueueName = `${baseQueueName}_error`;
+            const routeKey = 'bounded-concurrency.event';
+
+            before(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await Promise.all([
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+            });
+
+            afterEach(async () => {
+                await instance.unsubscribe({ queue: baseQueueName });
+                await Promise.all([
+                    channelContext.channel.purgeQueue(baseQueueName),
+                    channelContext.channel.purgeQueue(baseErrorQueueName)
+                ]);
+            });
+
+            after(async () => {
+                await Promise.all([
+                    channelContext.channel.deleteExchange(instance.config.globalExchange),
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should not run more than maxConcurrency handlers at a time', async () => {
+                const total = 6;
+                let running = 0;
+                let peak = 0;
+                let completed = 0;
+
+                await new Promise(async (resolve) => {
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async ({ ack }) => {
+                                peak = Math.max(peak, ++running);
+                                await new Promise((done) => setTimeout(done, 20));
+                                --running;
+                                await ack();
+
+                                if (++completed === total) {
+                                    resolve();
+                                }
+                            }
+                        },
+                        options: { dispatchType: 'bounded', maxConcurrency: 2 }
+                    });
+
+                    for (let i = 0; i < total; ++i) {
+                        await instance.publish({ message: { event: routeKey } });
+                    }
+                });
+
+                expect(peak).to.equal(2);
+            });
+
+            it('should hold back deliveries to maxConcurrency after resuming on a new channel', async () => {
+                const channelName = BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName);
+                let release = undefined;
+                const gate = new Promise((resolve) => {
+                    release = resolve;
+                });
+
+                await instance.subscribe({
+                    queue: baseQueueName,
+                    handlers: {
+                        [routeKey]: async ({ ack }) => {
+                            await gate;
+                            await ack();
+                        }
+                    },
+                    options: { dispatchType: 'bounded', maxConcurrency: 2 }
+                });
+
+                await instance.pause({ queue: baseQueueName });
+                await instance.channels.close(channelName);
+                await instance.resume({ queue: baseQueueName });
+
+                for (let i = 0; i < 6; ++i) {
+                    await instance.publish({ message: { event: routeKey } });
+                }
+
+                await new Promise((resolve) => setTimeout(resolve, 100));
+
+                const { messageCount } = await channelContext.channel.checkQueue(baseQueueName);
+
+                release();
+
+                expect(messageCount).to.equal(4);
+            });
+        });
+    });
+});
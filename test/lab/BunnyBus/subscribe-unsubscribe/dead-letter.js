@@ -0,0 +1,157 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../../lib');
+const Exceptions = require('../../../../lib/exceptions');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('public methods', () => {
+        describe('subscribe / unsubscribe (dead letter)', () => {
+            const baseChannelName = 'bunnybus-dead-letter';
+            const baseQueueName = 'test-dead-letter-queue';
+            const baseErrorQueueName = `${baseQueueName}_error`;
+            const customErrorQueueName = `${baseQueueName}_custom_error`;
+            const existingQueueName = 'test-dead-letter-existing-queue';
+            const routeKey = 'dead-letter.event';
+
+            before(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await Promise.all([
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+            });
+
+            afterEach(async () => {
+                await instance.unsubscribe({ queue: baseQueueName });
+                await instance.unsubscribe({ queue: baseErrorQueueName });
+                await Promise.all([
+                    channelContext.channel.purgeQueue(baseQueueName),
+                    channelContext.channel.purgeQueue(baseErrorQueueName)
+                ]);
+            });
+
+            after(async () => {
+                await Promise.all([
+                    channelContext.channel.deleteExchange(instance.config.globalExchange),
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName),
+                    channelContext.channel.deleteQueue(customErrorQueueName),
+                    channelContext.channel.deleteQueue(existingQueueName),
+                    channelContext.channel.deleteQueue(`${existingQueueName}_error`)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should dead letter messages rejected without a reason through the broker', async () => {
+                await new Promise(async (resolve) => {
+                    await instance.subscribe({
+                        queue: baseErrorQueueName,
+                        handlers: {
+                            [routeKey]: async ({ metaData, ack }) => {
+                                const [death] = metaData.deaths;
+
+                                expect(death.reason).to.equal('rejected');
+                                expect(death.queue).to.equal(baseQueueName);
+                                expect(death.count).to.equal(1);
+
+                                await ack();
+                                resolve();
+                            }
+                        },
+                        options: { disableQueueBind: true }
+                    });
+
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async ({ rej }) => {
+                                await rej();
+                            }
+                        },
+                        options: { rejectMode: 'dead-letter' }
+                    });
+                    await instance.publish({ message: { event: routeKey } });
+                });
+            });
+
+            it('should dead letter messages rejected with a reason and report it through MESSAGE_REJECTED_EVENT', async () => {
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.MESSAGE_REJECTED_EVENT, (metaData) => {
+                        expect(metaData.headers.reason).to.equal('boom');
+                        resolve();
+                    });
+
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async ({ rej }) => {
+                                await rej({ reason: 'boom' });
+                            }
+                        },
+                        options: { rejectMode: 'dead-letter' }
+                    });
+                    await instance.publish({ message: { event: routeKey } });
+                });
+
+                const payload = await instance.get({ queue: baseErrorQueueName });
+                const [death] = payload.properties.headers['x-death'];
+
+                expect(payload.properties.headers.reason).to.not.exist();
+                expect(payload.properties.headers.routeKey).to.equal(routeKey);
+                expect(death.reason).to.equal('rejected');
+                expect(death.queue).to.equal(baseQueueName);
+            });
+
+            it('should copy to a custom error queue requested by the handler', async () => {
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.MESSAGE_REJECTED_EVENT, resolve);
+
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async ({ rej }) => {
+                                await rej({ reason: 'boom', errorQueue: customErrorQueueName });
+                            }
+                        },
+                        options: { rejectMode: 'dead-letter' }
+                    });
+                    await instance.publish({ message: { event: routeKey } });
+                });
+
+                const payload = await instance.get({ queue: customErrorQueueName });
+
+                expect(payload.properties.headers.reason).to.equal('boom');
+                expect(payload.properties.headers['x-death']).to.not.exist();
+            });
+
+            it('should throw QueueArgumentsMismatchError for a queue created without the dead letter arguments', async () => {
+                await instance.createQueue({ name: existingQueueName });
+
+                await expect(
+                    instance.subscribe({
+                        queue: existingQueueName,
+                        handlers: { [routeKey]: async ({ ack }) => await ack() },
+                        options: { rejectMode: 'dead-letter' }
+                    })
+                ).to.reject(Exceptions.QueueArgumentsMismatchError);
+
+                expect(instance.subscriptions.contains(existingQueueName, false)).to.be.false();
+            });
+        });
+    });
+});
@@ -0,0 +1,128 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../../lib');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('public methods', () => {
+        describe('subscribe / unsubscribe (handlerMatching)', () => {
+            const baseChannelName = 'bunnybus-fan-out';
+            const baseQueueName = 'test-fan-out-queue';
+            const baseErrorQueueName = `${baseQueueName}_error`;
+
+            before(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await Promise.all([
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+            });
+
+            afterEach(async () => {
+                await instance.unsubscribe({ queue: baseQueueName });
+                await Promise.all([
+                    channelContext.channel.purgeQueue(baseQueueName),
+                    channelContext.channel.purgeQueue(baseErrorQueueName)
+                ]);
+            });
+
+            after(async () => {
+                await Promise.all([
+                    channelContext.channel.deleteExchange(instance.config.globalExchange),
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should dispatch to every matching handler and ack once all handlers ack', async () => {
+                const calls = [];
+                let acked = 0;
+
+                instance.on(BunnyBus.MESSAGE_ACKED_EVENT, () => ++acked);
+
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.MESSAGE_ACKED_EVENT, () => setImmediate(resolve));
+
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            'fan-out.*': async ({ ack }) => {
+                                calls.push('fan-out.*');
+                                await ack();
+                            },
+                            'fan-out.event': async ({ ack }) => {
+                                calls.push('fan-out.event');
+                                await ack();
+                            }
+                        },
+                        options: { handlerMatching: 'all' }
+                    });
+                    await instance.publish({ message: { event: 'fan-out.event' } });
+                });
+
+                instance.removeAllListeners(BunnyBus.MESSAGE_ACKED_EVENT);
+
+                expect(calls).to.equal(['fan-out.*', 'fan-out.event']);
+                expect(acked).to.equal(1);
+            });
+
+            it('should reject when any matching handler rejects', async () => {
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.MESSAGE_REJECTED_EVENT, async () => {
+                        const payload = await instance.get({ queue: baseErrorQueueName });
+
+                        expect(payload.properties.headers.reason).to.equal('second');
+                        resolve();
+                    });
+
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            'fan-out.*': async ({ ack }) => {
+                                await ack();
+                            },
+                            'fan-out.event': async ({ rej }) => {
+                                await rej({ reason: 'second' });
+                            }
+                        },
+                        options: { handlerMatching: 'all' }
+                    });
+                    await instance.publish({ message: { event: 'fan-out.event' } });
+                });
+            });
+
+            it('should dispatch to the most specific matching handler', async () => {
+                await new Promise(async (resolve, reject) => {
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            'fan-out.#': async () => reject(new Error('fan-out.# should not be dispatched')),
+                            'fan-out.event': async ({ ack }) => {
+                                await ack();
+                                resolve();
+                            },
+                            'fan-out.*': async () => reject(new Error('fan-out.* should not be dispatched'))
+                        },
+                        options: { handlerMatching: 'most-specific' }
+                    });
+                    await instance.publish({ message: { event: 'fan-out.event' } });
+                });
+            });
+        });
+    });
+});
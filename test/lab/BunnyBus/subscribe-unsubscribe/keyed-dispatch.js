@@ -0,0 +1,125 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../../lib');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('public methods', () => {
+        describe('subscribe / unsubscribe (keyed dispatch)', () => {
+            const baseChannelName = 'bunnybus-keyed-dispatch';
+            const baseQueueName = 'test-keyed-dispatch-queue';
+            const baseErrorQueueName = `${baseQueueName}_error`;
+            const routeKey = 'keyed-dispatch.event';
+
+            before(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await Promise.all([
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+            });
+
+            afterEach(async () => {
+                await instance.unsubscribe({ queue: baseQueueName });
+                await Promise.all([
+                    channelContext.channel.purgeQueue(baseQueueName),
+                    channelContext.channel.purgeQueue(baseErrorQueueName)
+                ]);
+            });
+
+            after(async () => {
+                await Promise.all([
+                    channelContext.channel.deleteExchange(instance.config.globalExchange),
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should process messages sharing a partition key in the order they were published', async () => {
+                const orders = ['order-1', 'order-2', 'order-3'];
+                const total = orders.length * 3;
+                const handled = [];
+
+                await new Promise(async (resolve) => {
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async ({ message, ack }) => {
+                                await new Promise((done) => setTimeout(done, Math.floor(Math.random() * 10)));
+                                handled.push(message);
+                                await ack();
+
+                                if (handled.length === total) {
+                                    resolve();
+                                }
+                            }
+                        },
+                        options: { dispatchType: 'keyed', partitionKey: 'orderId', partitionLanes: 3 }
+                    });
+
+                    for (let i = 0; i < 3; ++i) {
+                        for (const orderId of orders) {
+                            await instance.publish({ message: { event: routeKey, orderId, sequence: i } });
+                        }
+                    }
+                });
+
+                orders.forEach((orderId) => {
+                    const sequences = handled
+                        .filter((message) => message.orderId === orderId)
+                        .map((message) => message.sequence);
+
+                    expect(sequences).to.equal([0, 1, 2]);
+                });
+            });
+
+            it('should reject a message whose partitionKey function throws', async () => {
+                let handled = false;
+
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.MESSAGE_REJECTED_EVENT, (metaData) => {
+                        expect(metaData.headers.reason).to.include('no order');
+                        resolve();
+                    });
+
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async ({ ack }) => {
+                                handled = true;
+                                await ack();
+                            }
+                        },
+                        options: {
+                            dispatchType: 'keyed',
+                            partitionKey: () => {
+                                throw new Error('no order');
+                            }
+                        }
+                    });
+                    await instance.publish({ message: { event: routeKey } });
+                });
+
+                const { messageCount } = await channelContext.channel.checkQueue(baseErrorQueueName);
+
+                expect(handled).to.be.false();
+                expect(messageCount).to.equal(1);
+            });
+        });
+    });
+});
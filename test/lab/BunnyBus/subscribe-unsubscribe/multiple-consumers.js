@@ -0,0 +1,138 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../../lib');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('public methods', () => {
+        describe('subscribe / unsubscribe (multiple consumers)', () => {
+            const baseChannelName = 'bunnybus-multiple-consumers';
+            const baseQueueName = 'test-multiple-consumers-queue';
+            const baseErrorQueueName = `${baseQueueName}_error`;
+            const routeKey = 'multiple-consumers.event';
+
+            before(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await Promise.all([
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+            });
+
+            afterEach(async () => {
+                await instance.unsubscribe({ queue: baseQueueName });
+                await Promise.all([
+                    channelContext.channel.purgeQueue(baseQueueName),
+                    channelContext.channel.purgeQueue(baseErrorQueueName)
+                ]);
+            });
+
+            after(async () => {
+                await Promise.all([
+                    channelContext.channel.deleteExchange(instance.config.globalExchange),
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should consume the queue through one channel per consumer', async () => {
+                await instance.subscribe({
+                    queue: baseQueueName,
+                    handlers: { [routeKey]: async () => {} },
+                    options: { consumerCount: 3 }
+                });
+
+                const subscription = instance.subscriptions.get(baseQueueName);
+                const { consumerCount } = await channelContext.channel.checkQueue(baseQueueName);
+
+                expect(subscription.consumerTags).to.only.include([
+                    BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName, 0),
+                    BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName, 1),
+                    BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName, 2)
+                ]);
+                expect(consumerCount).to.equal(3);
+                expect(instance.channels.contains(BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName, 2))).to.be.true();
+            });
+
+            it('should process messages on every consumer in parallel', async () => {
+                const total = 6;
+                let running = 0;
+                let peak = 0;
+                let completed = 0;
+
+                await new Promise(async (resolve) => {
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async ({ ack }) => {
+                                peak = Math.max(peak, ++running);
+                                await new Promise((done) => setTimeout(done, 50));
+                                --running;
+                                await ack();
+
+                                if (++completed === total) {
+                                    resolve();
+                                }
+                            }
+                        },
+                        options: { consumerCount: 3 }
+                    });
+
+                    for (let i = 0; i < total; ++i) {
+                        await instance.publish({ message: { event: routeKey } });
+                    }
+                });
+
+                expect(peak).to.be.above(1);
+            });
+
+            it('should cancel every consumer on unsubscribe', async () => {
+                await instance.subscribe({
+                    queue: baseQueueName,
+                    handlers: { [routeKey]: async () => {} },
+                    options: { consumerCount: 3 }
+                });
+                await instance.unsubscribe({ queue: baseQueueName });
+
+                const { consumerCount } = await channelContext.channel.checkQueue(baseQueueName);
+
+                expect(consumerCount).to.equal(0);
+                expect(instance.subscriptions.contains(baseQueueName)).to.be.false();
+            });
+
+            it('should restart every consumer when one of the channels is recovered', async () => {
+                await instance.subscribe({
+                    queue: baseQueueName,
+                    handlers: { [routeKey]: async () => {} },
+                    options: { consumerCount: 3 }
+                });
+
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.RECOVERED_CHANNEL_EVENT, resolve);
+
+                    await instance.channels.close(BunnyBus.QUEUE_CHANNEL_NAME(baseQueueName, 1));
+                });
+
+                const { consumerCount } = await channelContext.channel.checkQueue(baseQueueName);
+
+                expect(consumerCount).to.equal(3);
+                expect(Object.keys(instance.subscriptions.get(baseQueueName).consumerTags)).to.have.length(3);
+            });
+        });
+    });
+});
@@ -0,0 +1,129 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../../lib');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+    });
+
+    describe('public methods', () => {
+        describe('subscribe / unsubscribe (pause / resume)', () => {
+            const baseChannelName = 'bunnybus-pause-resume';
+            const baseQueueName = 'test-pause-resume-queue';
+            const baseErrorQueueName = `${baseQueueName}_error`;
+            const routeKey = 'pause-resume.event';
+
+            before(async () => {
+                channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+                await Promise.all([
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+            });
+
+            afterEach(async () => {
+                await instance.unsubscribe({ queue: baseQueueName });
+                await Promise.all([
+                    channelContext.channel.purgeQueue(baseQueueName),
+                    channelContext.channel.purgeQueue(baseErrorQueueName)
+                ]);
+            });
+
+            after(async () => {
+                await Promise.all([
+                    channelContext.channel.deleteExchange(instance.config.globalExchange),
+                    channelContext.channel.deleteQueue(baseQueueName),
+                    channelContext.channel.deleteQueue(baseErrorQueueName)
+                ]);
+
+                await instance.stop();
+            });
+
+            it('should stop delivery while paused and continue it once resumed', async () => {
+                const handled = [];
+
+                await new Promise(async (resolve) => {
+                    await instance.subscribe({
+                        queue: baseQueueName,
+                        handlers: {
+                            [routeKey]: async ({ message, ack }) => {
+                                handled.push(message.sequence);
+                                await ack();
+                                resolve();
+                            }
+                        }
+                    });
+                    await instance.publish({ message: { event: routeKey, sequence: 1 } });
+                });
+
+                await instance.pause({ queue: baseQueueName });
+
+                expect(instance.subscriptions.get(baseQueueName).paused).to.be.true();
+                expect(instance.subscriptions.contains(baseQueueName)).to.be.false();
+
+                await instance.publish({ message: { event: routeKey, sequence: 2 } });
+                await new Promise((resolve) => setTimeout(resolve, 100));
+
+                expect(handled).to.equal([1]);
+
+                await new Promise(async (resolve) => {
+                    instance.once(BunnyBus.MESSAGE_ACKED_EVENT, resolve);
+
+                    await instance.resume({ queue: baseQueueName });
+                });
+
+                expect(handled).to.equal([1, 2]);
+                expect(instance.subscriptions.get(baseQueueName).paused).to.be.false();
+            });
+
+            it('should pause and resume every subscribed queue at once', async () => {
+                await instance.subscribe({ queue: baseQueueName, handlers: { [routeKey]: async () => {} } });
+
+                await instance.pause();
+
+                expect(instance.subscriptions.isPaused(baseQueueName)).to.be.true();
+
+                await instance.resume();
+
+                expect(instance.subscriptions.isPaused(baseQueueName)).to.be.false();
+                expect(instance.subscriptions.contains(baseQueueName)).to.be.true();
+            });
+
+            it('should not resubscribe a paused queue', async () => {
+                await instance.subscribe({ queue: baseQueueName, handlers: { [routeKey]: async () => {} } });
+                await instance.pause({ queue: baseQueueName });
+                await instance.resubscribe({ queue: baseQueueName });
+
+                expect(instance.subscriptions.contains(baseQueueName)).to.be.false();
+
+                await instance.resume({ queue: baseQueueName });
+            });
+
+            it('should not resume a paused queue that was unsubscribed', async () => {
+                const events = [];
+
+                instance.once(BunnyBus.UNSUBSCRIBED_EVENT, (queue) => events.push(queue));
+
+                await instance.subscribe({ queue: baseQueueName, handlers: { [routeKey]: async () => {} } });
+                await instance.pause({ queue: baseQueueName });
+                await instance.unsubscribe({ queue: baseQueueName });
+                await instance.resume();
+
+                expect(events).to.equal([baseQueueName]);
+                expect(instance.subscriptions.isPaused(baseQueueName)).to.be.false();
+                expect(instance.subscriptions.contains(baseQueueName)).to.be.false();
+            });
+        });
+    });
+});
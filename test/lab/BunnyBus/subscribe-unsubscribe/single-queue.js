@@ -556,6 +556,38 @@ describe('BunnyBus', () => {
 
                 expect(resolveCounter).to.equal(1);
             });
+
+            it('should hand back messages still waiting to be dispatched on unsubscribe', async () => {
+                const handled = [];
+
+                await new Promise(async (resolve) => {
+                    const handlers = {};
+
+                    handlers[publishOptions.routeKey] = async ({ message: consumedMessage, ack }) => {
+                        handled.push(consumedMessage);
+
+                        if (handled.length === 1) {
+                            resolve();
+                            await new Promise((timeoutResolve) => setTimeout(timeoutResolve, 100));
+                        }
+
+                        await ack();
+                    };
+
+                    await instance.subscribe({ queue: baseQueueName, handlers });
+                    await instance.publish({ message: '1', options: publishOptions });
+                    await instance.publish({ message: '2', options: publishOptions });
+                });
+
+                await new Promise((resolve) => setTimeout(resolve, 20));
+                await instance.unsubscribe({ queue: baseQueueName });
+
+                const payload = await instance.get({ queue: baseQueueName });
+
+                expect(handled).to.equal(['1']);
+                expect(payload.content.toString()).to.equal('2');
+                await channelContext.channel.purgeQueue(baseQueueName);
+            });
         });
     });
 });
@@ -0,0 +1,102 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const BunnyBus = require('../../../lib');
+const Exceptions = require('../../../lib/exceptions');
+
+const { describe, before, beforeEach, after, afterEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+let instance = undefined;
+let channelContext = undefined;
+
+describe('BunnyBus', () => {
+    before(() => {
+        instance = new BunnyBus();
+        instance.config = BunnyBus.DEFAULT_SERVER_CONFIGURATION;
+        instance.validators.register('validation.*', {
+            type: 'object',
+            properties: { name: { type: 'string' } },
+            required: ['name']
+        });
+    });
+
+    describe('validation', () => {
+        const baseChannelName = 'bunnybus-validation';
+        const baseQueueName = 'test-validation-queue';
+        const baseErrorQueueName = `${baseQueueName}_error`;
+        const routeKey = 'validation.event';
+
+        before(async () => {
+            channelContext = await instance._autoBuildChannelContext({ channelName: baseChannelName });
+
+            await Promise.all([
+                channelContext.channel.deleteQueue(baseQueueName),
+                channelContext.channel.deleteQueue(baseErrorQueueName)
+            ]);
+        });
+
+        afterEach(async () => {
+            await instance.unsubscribe({ queue: baseQueueName });
+        });
+
+        after(async () => {
+            await Promise.all([
+                channelContext.channel.deleteExchange(instance.config.globalExchange),
+                channelContext.channel.deleteQueue(baseQueueName),
+                channelContext.channel.deleteQueue(baseErrorQueueName)
+            ]);
+
+            await instance.stop();
+        });
+
+        it('should throw MessageValidationError when publishing an invalid message', async () => {
+            await expect(instance.publish({ message: { event: routeKey } })).to.reject(
+                Exceptions.MessageValidationError
+            );
+        });
+
+        it('should throw MessageValidationError when sending an invalid message', async () => {
+            await expect(
+                instance.send({ message: { name: 1 }, queue: baseQueueName, options: { routeKey } })
+            ).to.reject(Exceptions.MessageValidationError);
+        });
+
+        it('should publish a valid message', async () => {
+            await expect(instance.publish({ message: { event: routeKey, name: 'bunny' } })).to.not.reject();
+        });
+
+        it('should reject an invalid inbound message to the error queue', async () => {
+            let handled = false;
+
+            await instance.subscribe({
+                queue: baseQueueName,
+                handlers: {
+                    [routeKey]: async ({ ack }) => {
+                        handled = true;
+                        await ack();
+                    }
+                }
+            });
+
+            await channelContext.channel.purgeQueue(baseQueueName);
+            channelContext.channel.sendToQueue(baseQueueName, Buffer.from('{}'), { headers: { routeKey } });
+
+            await new Promise((resolve) => {
+                instance.once(BunnyBus.MESSAGE_REJECTED_EVENT, async () => {
+                    const payload = await instance.get({ queue: baseErrorQueueName });
+
+                    expect(handled).to.be.false();
+                    expect(payload.properties.headers.reason).to.equal(
+                        `message failed validation for routeKey (${routeKey})`
+                    );
+                    expect(payload.properties.headers.validationErrors).to.equal([
+                        "message should have required property 'name'"
+                    ]);
+                    resolve();
+                });
+            });
+        });
+    });
+});
@@ -0,0 +1,55 @@
+'use strict';
+
+// binding patterns and the route keys each one is delivered, taken from the topic exchange suite of rabbitmq-server
+module.exports = {
+    bindings: {
+        t1: 'a.b.c',
+        t2: 'a.*.c',
+        t3: 'a.#.b',
+        t4: 'a.b.b.c',
+        t5: '#',
+        t6: '#.#',
+        t7: '#.b',
+        t8: '*.*',
+        t9: 'a.*',
+        t10: '*.b.c',
+        t11: 'a.#',
+        t12: 'a.#.#',
+        t13: 'b.b.c',
+        t14: 'a.b.b',
+        t15: 'a.b',
+        t16: 'b.c',
+        t17: '',
+        t18: '*.*.*',
+        t19: 'vodka.martini',
+        t20: 'a.b.c',
+        t21: '*.#',
+        t22: '#.*.#',
+        t23: '*.#.#',
+        t24: '#.#.#',
+        t25: '*',
+        t26: '#.b.#',
+        // words naming members of Object.prototype are plain words to the broker
+        t27: 'constructor',
+        t28: 'toString.#',
+        t29: 'a.valueOf',
+        t30: 'hasOwnProperty.*'
+    },
+    routes: {
+        'a.b.c': ['t1', 't2', 't5', 't6', 't10', 't11', 't12', 't18', 't20', 't21', 't22', 't23', 't24', 't26'],
+        'a.b': ['t3', 't5', 't6', 't7', 't8', 't9', 't11', 't12', 't15', 't21', 't22', 't23', 't24', 't26'],
+        'a.b.b': ['t3', 't5', 't6', 't7', 't11', 't12', 't14', 't18', 't21', 't22', 't23', 't24', 't26'],
+        '': ['t5', 't6', 't17', 't24'],
+        'b.c.c': ['t5', 't6', 't18', 't21', 't22', 't23', 't24', 't26'],
+        'a.a.a.a.a': ['t5', 't6', 't11', 't12', 't21', 't22', 't23', 't24'],
+        'vodka.gin': ['t5', 't6', 't8', 't21', 't22', 't23', 't24'],
+        'vodka.martini': ['t5', 't6', 't8', 't19', 't21', 't22', 't23', 't24'],
+        'b.b.c': ['t5', 't6', 't10', 't13', 't18', 't21', 't22', 't23', 't24', 't26'],
+        'nothing.here.at.all': ['t5', 't6', 't21', 't22', 't23', 't24'],
+        oneword: ['t5', 't6', 't21', 't22', 't23', 't24', 't25'],
+        constructor: ['t5', 't6', 't21', 't22', 't23', 't24', 't25', 't27'],
+        'toString.hasOwnProperty': ['t5', 't6', 't8', 't21', 't22', 't23', 't24', 't28'],
+        'a.valueOf': ['t5', 't6', 't8', 't9', 't11', 't12', 't21', 't22', 't23', 't24', 't29'],
+        'hasOwnProperty.constructor': ['t5', 't6', 't8', 't21', 't22', 't23', 't24', 't30']
+    }
+};
@@ -0,0 +1,75 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Helpers = require('../../../lib/helpers');
+
+const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+describe('Helpers', () => {
+    describe('aggregateSettlement', () => {
+        let settled = undefined;
+        let settlement = undefined;
+
+        beforeEach(() => {
+            settled = [];
+            settlement = {
+                ack: async (...args) => settled.push(['ack', ...args]),
+                rej: async (...args) => settled.push(['rej', ...args]),
+                requeue: async (...args) => settled.push(['requeue', ...args])
+            };
+        });
+
+        it('should return the settlement untouched for a single handler', () => {
+            const result = Helpers.aggregateSettlement(1, settlement);
+
+            expect(result).to.have.length(1);
+            expect(result[0]).to.shallow.equal(settlement);
+        });
+
+        it('should ack only once every handler acked', async () => {
+            const [first, second] = Helpers.aggregateSettlement(2, settlement);
+
+            await first.ack();
+
+            expect(settled).to.equal([]);
+
+            await second.ack();
+
+            expect(settled).to.equal([['ack']]);
+        });
+
+        it('should reject when any handler rejects', async () => {
+            const [first, second, third] = Helpers.aggregateSettlement(3, settlement);
+
+            await first.ack();
+            await second.requeue();
+            await third.rej({ reason: 'boom' });
+
+            expect(settled).to.equal([['rej', { reason: 'boom' }]]);
+        });
+
+        it('should requeue when any handler requeues and none reject', async () => {
+            const [first, second] = Helpers.aggregateSettlement(2, settlement);
+
+            await first.requeue();
+            await second.ack();
+
+            expect(settled).to.equal([['requeue']]);
+        });
+
+        it('should only count the first decision of each handler', async () => {
+            const [first, second] = Helpers.aggregateSettlement(2, settlement);
+
+            await first.ack();
+            await first.rej();
+
+            expect(settled).to.equal([]);
+
+            await second.ack();
+
+            expect(settled).to.equal([['ack']]);
+        });
+    });
+});
@@ -0,0 +1,46 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Helpers = require('../../../lib/helpers');
+
+const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+describe('Helpers', () => {
+    describe('calculateRetryDelay', () => {
+        it('should return 0 when no retry policy is supplied', async () => {
+            expect(Helpers.calculateRetryDelay(null, 3)).to.equal(0);
+            expect(Helpers.calculateRetryDelay(undefined)).to.equal(0);
+        });
+
+        it('should return 0 when the retry policy has no delay', async () => {
+            expect(Helpers.calculateRetryDelay({ type: 'exponential' }, 3)).to.equal(0);
+        });
+
+        it('should return the delay for a fixed policy regardless of retry count', async () => {
+            const retry = { type: 'fixed', delay: 1000 };
+
+            expect(Helpers.calculateRetryDelay(retry, 0)).to.equal(1000);
+            expect(Helpers.calculateRetryDelay(retry, 5)).to.equal(1000);
+        });
+
+        it('should default to a fixed policy when type is not supplied', async () => {
+            expect(Helpers.calculateRetryDelay({ delay: 500 }, 2)).to.equal(500);
+        });
+
+        it('should double the delay for each retry for an exponential policy', async () => {
+            const retry = { type: 'exponential', delay: 100 };
+
+            expect(Helpers.calculateRetryDelay(retry, 0)).to.equal(100);
+            expect(Helpers.calculateRetryDelay(retry, 1)).to.equal(200);
+            expect(Helpers.calculateRetryDelay(retry, 3)).to.equal(800);
+        });
+
+        it('should limit an exponential policy to maxDelay', async () => {
+            const retry = { type: 'exponential', delay: 100, maxDelay: 500 };
+
+            expect(Helpers.calculateRetryDelay(retry, 10)).to.equal(500);
+        });
+    });
+});
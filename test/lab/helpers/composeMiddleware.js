@@ -0,0 +1,94 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Helpers = require('../../../lib/helpers');
+
+const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+describe('Helpers', () => {
+    describe('composeMiddleware', () => {
+        it('should call the handler when there is no middleware', async () => {
+            const context = {};
+            let handled = undefined;
+
+            await Helpers.composeMiddleware([])(context, async (ctx) => {
+                handled = ctx;
+            });
+
+            expect(handled).to.shallow.equal(context);
+        });
+
+        it('should run middleware in registration order around the handler', async () => {
+            const calls = [];
+            const middlewares = [
+                async (context, next) => {
+                    calls.push('first:before');
+                    await next();
+                    calls.push('first:after');
+                },
+                async (context, next) => {
+                    calls.push('second:before');
+                    await next();
+                    calls.push('second:after');
+                }
+            ];
+
+            await Helpers.composeMiddleware(middlewares)({}, async () => {
+                calls.push('handler');
+            });
+
+            expect(calls).to.equal(['first:before', 'second:before', 'handler', 'second:after', 'first:after']);
+        });
+
+        it('should pass context mutations through to the handler', async () => {
+            const middlewares = [
+                async (context, next) => {
+                    context.message = Object.assign({}, context.message, { tenantId: 'abc' });
+                    await next();
+                }
+            ];
+            let handled = undefined;
+
+            await Helpers.composeMiddleware(middlewares)({ message: { a: 1 } }, async ({ message }) => {
+                handled = message;
+            });
+
+            expect(handled).to.equal({ a: 1, tenantId: 'abc' });
+        });
+
+        it('should short circuit when a middleware does not call next', async () => {
+            let handled = false;
+
+            await Helpers.composeMiddleware([async () => {}])({}, async () => {
+                handled = true;
+            });
+
+            expect(handled).to.be.false();
+        });
+
+        it('should propagate errors from the handler', async () => {
+            const middlewares = [async (context, next) => await next()];
+
+            await expect(
+                Helpers.composeMiddleware(middlewares)({}, async () => {
+                    throw new Error('boom');
+                })
+            ).to.reject('boom');
+        });
+
+        it('should throw when next is called multiple times', async () => {
+            const middlewares = [
+                async (context, next) => {
+                    await next();
+                    await next();
+                }
+            ];
+
+            await expect(Helpers.composeMiddleware(middlewares)({}, async () => {})).to.reject(
+                'next() called multiple times'
+            );
+        });
+    });
+});
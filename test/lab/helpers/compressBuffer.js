@@ -0,0 +1,54 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Zlib = require('zlib');
+const Helpers = require('../../../lib/helpers');
+
+const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+describe('Helpers', () => {
+    describe('compressBuffer', () => {
+        const buffer = Buffer.from('a'.repeat(2048));
+
+        it('should pass the buffer through when no compression is configured', async () => {
+            expect(Helpers.compressBuffer(buffer, null)).to.equal({ buffer });
+            expect(Helpers.compressBuffer(buffer, {})).to.equal({ buffer });
+        });
+
+        it('should pass the buffer through when it is smaller than the threshold', async () => {
+            expect(Helpers.compressBuffer(buffer, { encoding: 'gzip', threshold: 4096 })).to.equal({ buffer });
+            expect(Helpers.compressBuffer(Buffer.from('a'), { encoding: 'gzip' })).to.equal({
+                buffer: Buffer.from('a')
+            });
+        });
+
+        it('should compress with gzip', async () => {
+            const result = Helpers.compressBuffer(buffer, { encoding: 'gzip' });
+
+            expect(result.contentEncoding).to.equal('gzip');
+            expect(Zlib.gunzipSync(result.buffer)).to.equal(buffer);
+        });
+
+        it('should compress with brotli', async () => {
+            const result = Helpers.compressBuffer(buffer, { encoding: 'br', threshold: 0 });
+
+            expect(result.contentEncoding).to.equal('br');
+            expect(Zlib.brotliDecompressSync(result.buffer)).to.equal(buffer);
+        });
+
+        it('should compress with deflate', async () => {
+            const result = Helpers.compressBuffer(buffer, { encoding: 'deflate' });
+
+            expect(result.contentEncoding).to.equal('deflate');
+            expect(Zlib.inflateSync(result.buffer)).to.equal(buffer);
+        });
+
+        it('should throw when the encoding is not supported', async () => {
+            expect(() => Helpers.compressBuffer(buffer, { encoding: 'lz4' })).to.throw(
+                'unsupported compression encoding lz4'
+            );
+        });
+    });
+});
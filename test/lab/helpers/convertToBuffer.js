@@ -3,6 +3,9 @@
 const Code = require('@hapi/code');
 const Lab = require('@hapi/lab');
 const Assertions = require('../assertions');
+const Helpers = require('../../../lib/helpers');
+const Exceptions = require('../../../lib/exceptions');
+const { SerializerManager } = require('../../../lib/serializers');
 
 const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
 const expect = Code.expect;
@@ -39,5 +42,39 @@ describe('Helpers', () => {
 
             Assertions.assertConvertToBuffer(data);
         });
+
+        describe('with serializers', () => {
+            const serializers = new SerializerManager();
+
+            it('should convert with the serializer of the content type', async () => {
+                const result = Helpers.convertToBuffer('hello', 'text/plain', serializers);
+
+                expect(result.buffer.toString()).to.equal('hello');
+                expect(result.contentType).to.equal('text/plain');
+                expect(result.isBuffer).to.be.false();
+            });
+
+            it('should fallback to JSON when no content type is supplied', async () => {
+                const result = Helpers.convertToBuffer({ a: 1 }, undefined, serializers);
+
+                expect(JSON.parse(result.buffer.toString())).to.equal({ a: 1 });
+                expect(result.contentType).to.be.undefined();
+            });
+
+            it('should pass a Buffer through when the content type is not registered', async () => {
+                const data = Buffer.from('hello');
+                const result = Helpers.convertToBuffer(data, 'application/x-protobuf', serializers);
+
+                expect(result.buffer).to.shallow.equal(data);
+                expect(result.isBuffer).to.be.true();
+                expect(result.contentType).to.equal('application/x-protobuf');
+            });
+
+            it('should throw NoSerializerError when the content type is not registered', async () => {
+                expect(() => Helpers.convertToBuffer({ a: 1 }, 'application/x-protobuf', serializers)).to.throw(
+                    Exceptions.NoSerializerError
+                );
+            });
+        });
     });
 });
@@ -0,0 +1,39 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Helpers = require('../../../lib/helpers');
+
+const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+describe('Helpers', () => {
+    describe('createHostList', () => {
+        it('should return an empty list when hosts is not supplied', async () => {
+            expect(Helpers.createHostList()).to.equal([]);
+            expect(Helpers.createHostList({ hostname: '127.0.0.1', port: 5672 })).to.equal([]);
+            expect(Helpers.createHostList({ hosts: null, port: 5672 })).to.equal([]);
+        });
+
+        it('should parse string entries with and without a port', async () => {
+            const result = Helpers.createHostList({ hosts: ['node-1:5673', 'node-2'], port: 5672 });
+
+            expect(result).to.equal([
+                { hostname: 'node-1', port: 5673 },
+                { hostname: 'node-2', port: 5672 }
+            ]);
+        });
+
+        it('should accept object entries and default the port', async () => {
+            const result = Helpers.createHostList({
+                hosts: [{ hostname: 'node-1', port: 5673 }, { hostname: 'node-2' }],
+                port: 5672
+            });
+
+            expect(result).to.equal([
+                { hostname: 'node-1', port: 5673 },
+                { hostname: 'node-2', port: 5672 }
+            ]);
+        });
+    });
+});
@@ -0,0 +1,81 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Fs = require('fs');
+const Os = require('os');
+const Path = require('path');
+const Helpers = require('../../../lib/helpers');
+
+const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+describe('Helpers', () => {
+    describe('createSocketOptions', () => {
+        const directory = Path.join(Os.tmpdir(), 'bunnybus-create-socket-options');
+        const caFile = Path.join(directory, 'ca.pem');
+        const certFile = Path.join(directory, 'cert.pem');
+        const keyFile = Path.join(directory, 'key.pem');
+
+        before(async () => {
+            await Fs.promises.mkdir(directory, { recursive: true });
+            await Promise.all([
+                Fs.promises.writeFile(caFile, 'ca-content'),
+                Fs.promises.writeFile(certFile, 'cert-content'),
+                Fs.promises.writeFile(keyFile, 'key-content')
+            ]);
+        });
+
+        after(async () => {
+            await Fs.promises.rmdir(directory, { recursive: true });
+        });
+
+        it('should return undefined when tls is not configured', async () => {
+            expect(Helpers.createSocketOptions()).to.be.undefined();
+            expect(Helpers.createSocketOptions({ tls: null })).to.be.undefined();
+        });
+
+        it('should map inline certificate values', async () => {
+            const result = Helpers.createSocketOptions({
+                tls: {
+                    ca: 'ca-content',
+                    cert: 'cert-content',
+                    key: 'key-content',
+                    passphrase: 'secret',
+                    servername: 'rabbit.local',
+                    rejectUnauthorized: false
+                }
+            });
+
+            expect(result).to.equal({
+                ca: ['ca-content'],
+                cert: 'cert-content',
+                key: 'key-content',
+                passphrase: 'secret',
+                servername: 'rabbit.local',
+                rejectUnauthorized: false
+            });
+        });
+
+        it('should load certificate values from file paths', async () => {
+            const result = Helpers.createSocketOptions({ tls: { caFile: [caFile], certFile, keyFile } });
+
+            expect(result.ca).to.have.length(1);
+            expect(result.ca[0].toString()).to.equal('ca-content');
+            expect(result.cert.toString()).to.equal('cert-content');
+            expect(result.key.toString()).to.equal('key-content');
+        });
+
+        it('should omit values that are not supplied', async () => {
+            const result = Helpers.createSocketOptions({ tls: { servername: 'rabbit.local' } });
+
+            expect(result).to.equal({ servername: 'rabbit.local' });
+        });
+
+        it('should throw when a file path does not exist', async () => {
+            expect(() =>
+                Helpers.createSocketOptions({ tls: { keyFile: Path.join(directory, 'missing.pem') } })
+            ).to.throw();
+        });
+    });
+});
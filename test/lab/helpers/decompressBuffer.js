@@ -0,0 +1,33 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Zlib = require('zlib');
+const Helpers = require('../../../lib/helpers');
+
+const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+describe('Helpers', () => {
+    describe('decompressBuffer', () => {
+        const buffer = Buffer.from('hello world');
+
+        it('should pass the buffer through when no content encoding is supplied', async () => {
+            expect(Helpers.decompressBuffer(buffer)).to.shallow.equal(buffer);
+        });
+
+        it('should pass the buffer through when the content encoding is not a compression', async () => {
+            expect(Helpers.decompressBuffer(buffer, 'utf-8')).to.shallow.equal(buffer);
+        });
+
+        it('should decompress gzip, brotli and deflate', async () => {
+            expect(Helpers.decompressBuffer(Zlib.gzipSync(buffer), 'gzip')).to.equal(buffer);
+            expect(Helpers.decompressBuffer(Zlib.brotliCompressSync(buffer), 'br')).to.equal(buffer);
+            expect(Helpers.decompressBuffer(Zlib.deflateSync(buffer), 'deflate')).to.equal(buffer);
+        });
+
+        it('should throw when the content can not be decompressed', async () => {
+            expect(() => Helpers.decompressBuffer(buffer, 'gzip')).to.throw();
+        });
+    });
+});
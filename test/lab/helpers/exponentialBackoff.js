@@ -18,5 +18,10 @@ describe('Helpers', () => {
             const result = Helpers.exponentialBackoff(9);
             expect(result - 10000).to.be.between(0, 2000);
         });
+
+        it('should return a backoff value based on custom interval and ceiling without jitter', async () => {
+            expect(Helpers.exponentialBackoff(2, { interval: 100, ceiling: 1000, jitter: 0 })).to.equal(400);
+            expect(Helpers.exponentialBackoff(5, { interval: 100, ceiling: 1000, jitter: 0 })).to.equal(1000);
+        });
     });
 });
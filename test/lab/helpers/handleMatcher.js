@@ -46,5 +46,85 @@ describe('Helpers', () => {
             expect(result).to.be.an.array();
             expect(result).to.have.length(1);
         });
+
+        it('should match around handlers named after members of Object.prototype', () => {
+            const handlers = {
+                constructor: () => {},
+                a: () => {}
+            };
+
+            const result = Helpers.handlerMatcher(handlers, 'a');
+
+            expect(result).to.equal([handlers.a]);
+        });
+
+        describe('all', () => {
+            it('should match every handler', () => {
+                const handlers = {
+                    'abc.#.xyz': () => {},
+                    'abc.*.xyz': () => {},
+                    'abc.xyz': () => {}
+                };
+
+                const result = Helpers.handlerMatcher(handlers, 'abc.hello.xyz', 'all');
+
+                expect(result).to.equal([handlers['abc.#.xyz'], handlers['abc.*.xyz']]);
+            });
+
+            it('should not match any handler', () => {
+                const handlers = {
+                    'abc.xyz': () => {}
+                };
+
+                expect(Helpers.handlerMatcher(handlers, 'world.hello', 'all')).to.equal([]);
+            });
+        });
+
+        describe('most-specific', () => {
+            it('should prefer an exact match over wildcards', () => {
+                const handlers = {
+                    '#': () => {},
+                    'a.*': () => {},
+                    'a.b': () => {}
+                };
+
+                expect(Helpers.handlerMatcher(handlers, 'a.b', 'most-specific')).to.equal([handlers['a.b']]);
+            });
+
+            it('should prefer more literal words', () => {
+                const handlers = {
+                    'a.#': () => {},
+                    'a.#.c': () => {}
+                };
+
+                expect(Helpers.handlerMatcher(handlers, 'a.b.c', 'most-specific')).to.equal([handlers['a.#.c']]);
+            });
+
+            it('should prefer "*" over "#"', () => {
+                const handlers = {
+                    'a.#': () => {},
+                    'a.*': () => {}
+                };
+
+                expect(Helpers.handlerMatcher(handlers, 'a.b', 'most-specific')).to.equal([handlers['a.*']]);
+            });
+
+            it('should resolve ties by declaration order', () => {
+                const handlers = {
+                    '*.b': () => {},
+                    'a.*': () => {}
+                };
+
+                expect(Helpers.handlerMatcher(handlers, 'a.b', 'most-specific')).to.equal([handlers['*.b']]);
+            });
+
+            it('should not match any handler', () => {
+                const handlers = {
+                    'abc.xyz': () => {}
+                };
+
+                expect(Helpers.handlerMatcher(handlers, 'world.hello', 'most-specific')).to.equal([]);
+            });
+        });
     });
 });
@@ -2,7 +2,9 @@
 
 const Code = require('@hapi/code');
 const Lab = require('@hapi/lab');
+const Zlib = require('zlib');
 const Helpers = require('../../../lib/helpers');
+const { SerializerManager } = require('../../../lib/serializers');
 
 const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
 const expect = Code.expect;
@@ -80,5 +82,112 @@ describe('Helpers', () => {
 
             expect(Helpers.parsePayload(payload)).to.be.null();
         });
+
+        it('should decompress content with a compression content encoding', () => {
+            const payload = {
+                properties: { headers: {}, contentEncoding: 'gzip' },
+                content: Zlib.gzipSync(Buffer.from('{"hello":"world"}', 'utf-8'))
+            };
+
+            expect(Helpers.parsePayload(payload)).to.contain({
+                message: { hello: 'world' }
+            });
+        });
+
+        it('should return null when compressed content can not be decompressed', () => {
+            const payload = {
+                properties: { headers: {}, contentEncoding: 'br' },
+                content: Buffer.from('{"hello":"world"}', 'utf-8')
+            };
+
+            expect(Helpers.parsePayload(payload)).to.be.null();
+        });
+
+        it('should parse x-death headers of dead lettered messages into metaData', () => {
+            const payload = {
+                properties: {
+                    headers: {
+                        'x-death': [
+                            {
+                                reason: 'rejected',
+                                queue: 'queue1',
+                                exchange: '',
+                                'routing-keys': ['queue1'],
+                                count: 2,
+                                time: 1577836800
+                            }
+                        ]
+                    }
+                },
+                content: Buffer.from('{"hello":"world"}', 'utf-8')
+            };
+
+            expect(Helpers.parsePayload(payload).metaData.deaths).to.equal([
+                {
+                    reason: 'rejected',
+                    queue: 'queue1',
+                    exchange: '',
+                    routingKeys: ['queue1'],
+                    count: 2,
+                    time: '2020-01-01T00:00:00.000Z'
+                }
+            ]);
+        });
+
+        it('should not add deaths to metaData of messages that were not dead lettered', () => {
+            const payload = {
+                properties: { headers: {} },
+                content: Buffer.from('{"hello":"world"}', 'utf-8')
+            };
+
+            expect(Helpers.parsePayload(payload).metaData.deaths).to.not.exist();
+        });
+
+        describe('with serializers', () => {
+            const serializers = new SerializerManager();
+
+            it('should parse with the serializer of the content type', () => {
+                const payload = {
+                    properties: { headers: {}, contentType: 'text/plain' },
+                    content: Buffer.from('{"hello":"world"}', 'utf-8')
+                };
+
+                expect(Helpers.parsePayload(payload, serializers)).to.contain({
+                    message: '{"hello":"world"}'
+                });
+            });
+
+            it('should parse JSON when no content type is supplied', () => {
+                const payload = {
+                    properties: { headers: {} },
+                    content: Buffer.from('{"hello":"world"}', 'utf-8')
+                };
+
+                expect(Helpers.parsePayload(payload, serializers)).to.contain({
+                    message: { hello: 'world' }
+                });
+            });
+
+            it('should proxy buffer payload when the content type is not registered', () => {
+                const buffer = Buffer.from('abc', 'utf-8');
+                const payload = {
+                    properties: { headers: { isBuffer: true }, contentType: 'application/x-protobuf' },
+                    content: buffer
+                };
+
+                expect(Helpers.parsePayload(payload, serializers)).to.contain({
+                    message: buffer
+                });
+            });
+
+            it('should return null when the content type is not registered', () => {
+                const payload = {
+                    properties: { headers: {}, contentType: 'application/x-protobuf' },
+                    content: Buffer.from('{"hello":"world"}', 'utf-8')
+                };
+
+                expect(Helpers.parsePayload(payload, serializers)).to.be.null();
+            });
+        });
     });
 });
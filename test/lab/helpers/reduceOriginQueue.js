@@ -0,0 +1,35 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Helpers = require('../../../lib/helpers');
+
+const { describe, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+describe('Helpers', () => {
+    describe('reduceOriginQueue', () => {
+        it('should return undefined when nothing is supplied', async () => {
+            expect(Helpers.reduceOriginQueue()).to.be.undefined();
+        });
+
+        it('should return the originQueue header when supplied', async () => {
+            expect(Helpers.reduceOriginQueue({ originQueue: 'o', 'x-death': [{ queue: 'x' }] }, 'q_error')).to.equal(
+                'o'
+            );
+        });
+
+        it('should return the x-death queue when originQueue is not supplied', async () => {
+            expect(Helpers.reduceOriginQueue({ 'x-death': [{ queue: 'x' }] }, 'q_error')).to.equal('x');
+        });
+
+        it('should return the queue an _error or _poison queue is named after', async () => {
+            expect(Helpers.reduceOriginQueue({}, 'q_error')).to.equal('q');
+            expect(Helpers.reduceOriginQueue({ 'x-death': [] }, 'q_poison')).to.equal('q');
+        });
+
+        it('should return undefined for an error queue not named after its queue', async () => {
+            expect(Helpers.reduceOriginQueue({}, 'error-bus')).to.be.undefined();
+        });
+    });
+});
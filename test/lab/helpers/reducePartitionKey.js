@@ -0,0 +1,51 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Helpers = require('../../../lib/helpers');
+
+const { describe, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+const payload = {
+    message: { orderId: 'order-1', customer: { id: 'customer-1' } },
+    metaData: { headers: { orderId: 'order-2', tenant: 'tenant-1' } }
+};
+
+describe('Helpers', () => {
+    describe('reducePartitionKey', () => {
+        it('should return from the message when the property exists', () => {
+            expect(Helpers.reducePartitionKey('orderId', payload)).to.equal('order-1');
+        });
+
+        it('should return from a nested message property', () => {
+            expect(Helpers.reducePartitionKey('customer.id', payload)).to.equal('customer-1');
+        });
+
+        it('should return from the headers when the message does not have the property', () => {
+            expect(Helpers.reducePartitionKey('tenant', payload)).to.equal('tenant-1');
+        });
+
+        it('should return from the headers when the message is not an object', () => {
+            const result = Helpers.reducePartitionKey('tenant', { message: 'bunnybus', metaData: payload.metaData });
+
+            expect(result).to.equal('tenant-1');
+        });
+
+        it('should return the result of a function', () => {
+            const result = Helpers.reducePartitionKey(({ message, metaData }) => {
+                return `${metaData.headers.tenant}:${message.orderId}`;
+            }, payload);
+
+            expect(result).to.equal('tenant-1:order-1');
+        });
+
+        it('should return undefined when no partition key is configured', () => {
+            expect(Helpers.reducePartitionKey(null, payload)).to.be.undefined();
+        });
+
+        it('should return undefined when neither the message nor the headers have the property', () => {
+            expect(Helpers.reducePartitionKey('missing', payload)).to.be.undefined();
+        });
+    });
+});
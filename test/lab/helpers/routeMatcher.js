@@ -3,6 +3,7 @@
 const Code = require('@hapi/code');
 const Lab = require('@hapi/lab');
 const Helpers = require('../../../lib/helpers');
+const TopicBindings = require('../fixtures/topicBindings');
 
 const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
 const expect = Code.expect;
@@ -116,8 +117,8 @@ describe('Helpers', () => {
                 expect(Helpers.routeMatcher(pattern, 'a.hello.world.b')).to.be.true();
             });
 
-            it('should not match for a.b', () => {
-                expect(Helpers.routeMatcher(pattern, 'a.b')).to.be.false();
+            it('should match for a.b', () => {
+                expect(Helpers.routeMatcher(pattern, 'a.b')).to.be.true();
             });
 
             it('should match for a..b', () => {
@@ -176,8 +177,8 @@ describe('Helpers', () => {
                 expect(Helpers.routeMatcher(pattern, 'abc..xyz')).to.be.true();
             });
 
-            it('should not match for abc.xyz', () => {
-                expect(Helpers.routeMatcher(pattern, 'abc.xyz')).to.be.false();
+            it('should match for abc.xyz', () => {
+                expect(Helpers.routeMatcher(pattern, 'abc.xyz')).to.be.true();
             });
         });
 
@@ -236,5 +237,59 @@ describe('Helpers', () => {
                 expect(Helpers.routeMatcher(pattern, '....')).to.be.true();
             });
         });
+
+        describe('when binding pattern has regex metacharacters', () => {
+            it('should match "." literally', () => {
+                expect(Helpers.routeMatcher('a.b', 'axb')).to.be.false();
+            });
+
+            it('should match "*" and "#" literally within a word', () => {
+                expect(Helpers.routeMatcher('a*.b#', 'a*.b#')).to.be.true();
+                expect(Helpers.routeMatcher('a*.b#', 'ab.bc')).to.be.false();
+            });
+
+            it('should match other metacharacters literally', () => {
+                expect(Helpers.routeMatcher('a+.(b|c).$', 'a+.(b|c).$')).to.be.true();
+                expect(Helpers.routeMatcher('a+.(b|c).$', 'aa.b.$')).to.be.false();
+            });
+        });
+
+        describe('when binding pattern or route key has empty words', () => {
+            it('should not match "*" with an empty route key', () => {
+                expect(Helpers.routeMatcher('*', '')).to.be.false();
+            });
+
+            it('should match "#" with an empty route key', () => {
+                expect(Helpers.routeMatcher('#', '')).to.be.true();
+            });
+
+            it('should match "*" with an empty word', () => {
+                expect(Helpers.routeMatcher('a.*', 'a.')).to.be.true();
+                expect(Helpers.routeMatcher('*.*', '.')).to.be.true();
+            });
+
+            it('should not match "*" across words', () => {
+                expect(Helpers.routeMatcher('*', 'a.b')).to.be.false();
+                expect(Helpers.routeMatcher('*', '.')).to.be.false();
+            });
+
+            it('should match patterns naming members of Object.prototype literally', () => {
+                expect(Helpers.routeMatcher('constructor', 'constructor')).to.be.true();
+                expect(Helpers.routeMatcher('toString', 'valueOf')).to.be.false();
+                expect(Helpers.routeMatcher('__proto__', '__proto__')).to.be.true();
+            });
+        });
+
+        describe('conformance with the broker topic exchange', () => {
+            Object.keys(TopicBindings.routes).forEach((routeKey) => {
+                it(`should match the bindings the broker delivers "${routeKey}" to`, () => {
+                    const matched = Object.keys(TopicBindings.bindings).filter((binding) =>
+                        Helpers.routeMatcher(TopicBindings.bindings[binding], routeKey)
+                    );
+
+                    expect(matched).to.equal(TopicBindings.routes[routeKey]);
+                });
+            });
+        });
     });
 });
@@ -0,0 +1,84 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const Helpers = require('../../../lib/helpers');
+
+const { describe, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+describe('Helpers', () => {
+    describe('summarizeErrors', () => {
+        const now = Date.parse('2020-01-02T00:00:00.000Z');
+
+        it('should return empty groups when there are no messages', async () => {
+            expect(Helpers.summarizeErrors([], now)).to.equal({
+                total: 0,
+                byReason: {},
+                byRouteKey: {},
+                bySource: {},
+                byAge: {},
+                oldest: undefined
+            });
+        });
+
+        it('should count messages by reason, routeKey and source', async () => {
+            const result = Helpers.summarizeErrors(
+                [
+                    { reason: 'timeout', routeKey: 'a.b', source: 'svc-a' },
+                    { reason: 'timeout', routeKey: 'a.c', source: 'svc-a' },
+                    { reason: 'invalid', routeKey: 'a.b', source: 'svc-b' }
+                ],
+                now
+            );
+
+            expect(result.total).to.equal(3);
+            expect(result.byReason).to.equal({ timeout: 2, invalid: 1 });
+            expect(result.byRouteKey).to.equal({ 'a.b': 2, 'a.c': 1 });
+            expect(result.bySource).to.equal({ 'svc-a': 2, 'svc-b': 1 });
+        });
+
+        it('should group missing headers as unknown', async () => {
+            const result = Helpers.summarizeErrors([{}, undefined], now);
+
+            expect(result.byReason).to.equal({ unknown: 2 });
+            expect(result.byRouteKey).to.equal({ unknown: 2 });
+            expect(result.bySource).to.equal({ unknown: 2 });
+            expect(result.byAge).to.equal({ unknown: 2 });
+            expect(result.oldest).to.be.undefined();
+        });
+
+        it('should bucket messages by the age of erroredAt', async () => {
+            const result = Helpers.summarizeErrors(
+                [
+                    { erroredAt: '2020-01-01T23:59:30.000Z' },
+                    { erroredAt: '2020-01-01T23:30:00.000Z' },
+                    { erroredAt: '2020-01-01T12:00:00.000Z' },
+                    { erroredAt: '2019-12-25T00:00:00.000Z' }
+                ],
+                now
+            );
+
+            expect(result.byAge).to.equal({ '1m': 1, '1h': 1, '1d': 1, older: 1 });
+            expect(result.oldest).to.equal('2019-12-25T00:00:00.000Z');
+        });
+
+        it('should fall back to x-death for dead lettered messages', async () => {
+            const result = Helpers.summarizeErrors(
+                [{ routeKey: 'a.b', 'x-death': [{ reason: 'rejected', time: now / 1000 - 10 }] }],
+                now
+            );
+
+            expect(result.byReason).to.equal({ rejected: 1 });
+            expect(result.byAge).to.equal({ '1m': 1 });
+            expect(result.oldest).to.equal('2020-01-01T23:59:50.000Z');
+        });
+
+        it('should group an empty x-death as unknown', async () => {
+            const result = Helpers.summarizeErrors([{ 'x-death': [] }], now);
+
+            expect(result.byReason).to.equal({ unknown: 1 });
+            expect(result.byAge).to.equal({ unknown: 1 });
+        });
+    });
+});
@@ -3,6 +3,7 @@
 const Code = require('@hapi/code');
 const Lab = require('@hapi/lab');
 const Helpers = require('../../../lib/helpers');
+const Exceptions = require('../../../lib/exceptions');
 
 const { describe, before, beforeEach, after, it } = (exports.lab = Lab.script());
 const expect = Code.expect;
@@ -36,7 +37,7 @@ describe('Helpers', () => {
             }
 
             expect(sut).to.exist();
-            expect(sut).to.be.an.error('Timeout occurred');
+            expect(sut).to.be.an.error(Exceptions.TimeoutError, 'Timeout occurred');
         });
 
         it('should error when workload errors', async () => {
@@ -0,0 +1,216 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const { BoundedDispatcher } = require('../../../lib/schedulers');
+
+const { describe, beforeEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+describe('schedulers', () => {
+    describe('Bounded Dispatcher', () => {
+        let instance = undefined;
+        const queueName = 'test-bounded-dispatch-queue';
+
+        beforeEach(async () => {
+            instance = new BoundedDispatcher();
+        });
+
+        describe('push', () => {
+            it('should add a new function and execute', async () => {
+                let delegate = null;
+
+                const promise = new Promise((resolve) => {
+                    delegate = resolve;
+                });
+
+                instance.push(queueName, delegate);
+
+                await promise;
+            });
+
+            it('should default to a concurrency of 1', async () => {
+                const order = [];
+
+                await new Promise((resolve) => {
+                    const delegate = async (orderNumber) => {
+                        await new Promise((wait) => setTimeout(wait, 30 - orderNumber * 10));
+                        order.push(orderNumber);
+
+                        if (order.length === 3) {
+                            resolve();
+                        }
+                    };
+
+                    instance.push(queueName, delegate.bind(null, 0));
+                    instance.push(queueName, delegate.bind(null, 1));
+                    instance.push(queueName, delegate.bind(null, 2));
+                });
+
+                expect(order).to.equal([0, 1, 2]);
+            });
+
+            it('should never run more than the limit at once and await completion before taking more', async () => {
+                const target = 20;
+                let running = 0;
+                let peak = 0;
+                let completed = 0;
+
+                instance.limit(queueName, 3);
+
+                await new Promise((resolve) => {
+                    const delegate = async () => {
+                        peak = Math.max(peak, ++running);
+                        await new Promise((wait) => setTimeout(wait, 5));
+                        --running;
+
+                        if (++completed === target) {
+                            resolve();
+                        }
+                    };
+
+                    for (let i = 0; i < target; ++i) {
+                        instance.push(queueName, delegate);
+                    }
+
+                    expect(running).to.equal(0);
+                    expect(instance._queues.get(queueName).buffer).to.have.length(target - 3);
+                });
+
+                expect(peak).to.equal(3);
+            });
+
+            it('should free the slot of a delegate that throws', async () => {
+                await new Promise((resolve) => {
+                    instance.push(queueName, async () => {
+                        throw new Error('boom');
+                    });
+                    instance.push(queueName, resolve);
+                });
+            });
+
+            it('should report a delegate that throws to onError', async () => {
+                const error = new Error('boom');
+                const [reported, queue] = await new Promise((resolve) => {
+                    instance = new BoundedDispatcher(1, (...args) => resolve(args));
+                    instance.push(queueName, async () => {
+                        throw error;
+                    });
+                });
+
+                expect(reported).to.shallow.equal(error);
+                expect(queue).to.equal(queueName);
+            });
+
+            it('should limit each queue independently', async () => {
+                let running = 0;
+                let peak = 0;
+
+                instance.limit(`${queueName}-a`, 1);
+                instance.limit(`${queueName}-b`, 1);
+
+                await new Promise((resolve) => {
+                    let completed = 0;
+                    const delegate = async () => {
+                        peak = Math.max(peak, ++running);
+                        await new Promise((wait) => setTimeout(wait, 5));
+                        --running;
+
+                        if (++completed === 2) {
+                            resolve();
+                        }
+                    };
+
+                    instance.push(`${queueName}-a`, delegate);
+                    instance.push(`${queueName}-b`, delegate);
+                });
+
+                expect(peak).to.equal(2);
+            });
+        });
+
+        describe('limit', () => {
+            it('should raise the limit of a queue with buffered functions', async () => {
+                let running = 0;
+                let peak = 0;
+
+                await new Promise((resolve) => {
+                    let completed = 0;
+                    const delegate = async () => {
+                        peak = Math.max(peak, ++running);
+                        await new Promise((wait) => setTimeout(wait, 10));
+                        --running;
+
+                        if (++completed === 3) {
+                            resolve();
+                        }
+                    };
+
+                    instance.push(queueName, delegate);
+                    instance.push(queueName, delegate);
+                    instance.push(queueName, delegate);
+                    instance.limit(queueName, 3);
+                });
+
+                expect(peak).to.equal(3);
+            });
+        });
+
+        describe('depth', () => {
+            it('should report the number of functions waiting for a slot', async () => {
+                const blocker = () => new Promise((resolve) => setTimeout(resolve, 20));
+
+                instance.limit(queueName, 2);
+                instance.push(queueName, blocker);
+                instance.push(queueName, blocker);
+                instance.push(queueName, blocker);
+
+                expect(instance.depth(queueName)).to.equal(1);
+
+                await instance.drain(queueName);
+
+                expect(instance.depth(queueName)).to.equal(0);
+            });
+        });
+
+        describe('drain', () => {
+            it('should resolve once every function has executed', async () => {
+                let counter = 0;
+                const delegate = async () => {
+                    await new Promise((resolve) => setTimeout(resolve, 5));
+                    ++counter;
+                };
+
+                instance.limit(queueName, 2);
+                instance.push(queueName, delegate);
+                instance.push(queueName, delegate);
+                instance.push(queueName, delegate);
+
+                await instance.drain(queueName);
+
+                expect(counter).to.equal(3);
+                expect(instance._queues.size).to.equal(0);
+            });
+        });
+
+        describe('cancel', () => {
+            it('should drop the functions waiting for a slot', async () => {
+                let counter = 0;
+                const delegate = async () => {
+                    await new Promise((resolve) => setTimeout(resolve, 5));
+                    ++counter;
+                };
+
+                instance.push(queueName, delegate);
+                instance.push(queueName, delegate);
+                instance.push(queueName, delegate);
+
+                expect(instance.cancel(queueName)).to.equal(2);
+
+                await instance.drain(queueName);
+
+                expect(counter).to.equal(1);
+            });
+        });
+    });
+});
@@ -83,6 +83,47 @@ describe('schedulers', () => {
                 expect(counter).to.equal(target);
                 expect(outOfOrderCaptured).to.be.true();
             });
+
+            it('should report a delegate that throws to onError', async () => {
+                const error = new Error('boom');
+                const [reported, queue] = await new Promise((resolve) => {
+                    instance = new ConcurrentDispatcher((...args) => resolve(args));
+                    instance.push(queueName, async () => {
+                        throw error;
+                    });
+                });
+
+                expect(reported).to.shallow.equal(error);
+                expect(queue).to.equal(queueName);
+            });
+        });
+
+        describe('drain', () => {
+            it('should resolve once every running function has executed', async () => {
+                let counter = 0;
+                const delegate = async () => {
+                    await new Promise((resolve) => setTimeout(resolve, 5));
+                    ++counter;
+                };
+
+                instance.push(queueName, delegate);
+                instance.push(queueName, delegate);
+
+                expect(instance.depth(queueName)).to.equal(0);
+
+                await instance.drain(queueName);
+
+                expect(counter).to.equal(2);
+                expect(instance._queues.size).to.equal(0);
+            });
+        });
+
+        describe('cancel', () => {
+            it('should not cancel functions that are already running', () => {
+                instance.push(queueName, () => {});
+
+                expect(instance.cancel(queueName)).to.equal(0);
+            });
         });
     });
 });
@@ -0,0 +1,149 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const { KeyedDispatcher } = require('../../../lib/schedulers');
+
+const { describe, beforeEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+describe('schedulers', () => {
+    describe('Keyed Dispatcher', () => {
+        let instance = undefined;
+        const queueName = 'test-keyed-dispatch-queue';
+
+        beforeEach(async () => {
+            instance = new KeyedDispatcher();
+        });
+
+        describe('push', () => {
+            it('should add a new function and execute', async () => {
+                await new Promise((resolve) => instance.push(queueName, resolve, 'key'));
+            });
+
+            it('should execute functions sharing a key in the order they were added', async () => {
+                const executed = [];
+                const randomNumber = (min = 1, max = 15) => Math.floor(Math.random() * (max - min + 1) + min);
+
+                instance.limit(queueName, 4);
+
+                ['a', 'b', 'c'].forEach((key) => {
+                    [0, 1, 2, 3, 4].forEach((orderNumber) => {
+                        instance.push(
+                            queueName,
+                            async () => {
+                                await new Promise((resolve) => setTimeout(resolve, randomNumber()));
+                                executed.push(`${key}${orderNumber}`);
+                            },
+                            key
+                        );
+                    });
+                });
+
+                await instance.drain(queueName);
+
+                ['a', 'b', 'c'].forEach((key) => {
+                    const order = executed.filter((entry) => entry.startsWith(key));
+
+                    expect(order).to.equal([0, 1, 2, 3, 4].map((orderNumber) => `${key}${orderNumber}`));
+                });
+            });
+
+            it('should execute functions with different keys in parallel lanes', async () => {
+                let running = 0;
+                let peak = 0;
+                const delegate = async () => {
+                    peak = Math.max(peak, ++running);
+                    await new Promise((resolve) => setTimeout(resolve, 10));
+                    --running;
+                };
+
+                instance.limit(queueName, 100);
+
+                ['a', 'b', 'c', 'd'].forEach((key) => instance.push(queueName, delegate, key));
+
+                await instance.drain(queueName);
+
+                expect(peak).to.be.above(1);
+            });
+
+            it('should execute every function serially with a single lane', async () => {
+                let running = 0;
+                let peak = 0;
+                const delegate = async () => {
+                    peak = Math.max(peak, ++running);
+                    await new Promise((resolve) => setTimeout(resolve, 5));
+                    --running;
+                };
+
+                ['a', 'b', 'c', 'd'].forEach((key) => instance.push(queueName, delegate, key));
+
+                await instance.drain(queueName);
+
+                expect(peak).to.equal(1);
+            });
+
+            it('should keep functions without a key in order', async () => {
+                const executed = [];
+
+                [0, 1, 2].forEach((orderNumber) => {
+                    instance.push(queueName, () => executed.push(orderNumber));
+                });
+
+                await instance.drain(queueName);
+
+                expect(executed).to.equal([0, 1, 2]);
+            });
+
+            it('should report a delegate that throws to onError', async () => {
+                const error = new Error('boom');
+                const [reported, queue] = await new Promise((resolve) => {
+                    instance = new KeyedDispatcher(2, (...args) => resolve(args));
+                    instance.push(
+                        queueName,
+                        async () => {
+                            throw error;
+                        },
+                        'key'
+                    );
+                });
+
+                expect(reported).to.shallow.equal(error);
+                expect(queue).to.equal(queueName);
+            });
+        });
+
+        describe('depth', () => {
+            it('should report the number of functions waiting across every lane', async () => {
+                const blocker = () => new Promise((resolve) => setTimeout(resolve, 10));
+
+                instance.limit(queueName, 2);
+                ['a', 'a', 'b', 'b'].forEach((key) => instance.push(queueName, blocker, key));
+
+                expect(instance.depth(queueName)).to.be.above(0);
+
+                await instance.drain(queueName);
+
+                expect(instance.depth(queueName)).to.equal(0);
+            });
+        });
+
+        describe('cancel', () => {
+            it('should drop the functions waiting across every lane', async () => {
+                let counter = 0;
+                const delegate = async () => {
+                    await new Promise((resolve) => setTimeout(resolve, 5));
+                    ++counter;
+                };
+
+                ['a', 'a', 'a'].forEach((key) => instance.push(queueName, delegate, key));
+
+                expect(instance.cancel(queueName)).to.equal(2);
+
+                await instance.drain(queueName);
+
+                expect(counter).to.equal(1);
+            });
+        });
+    });
+});
@@ -157,6 +157,107 @@ describe('schedulers', () => {
 
                 expect(counter).to.equal(2);
             });
+
+            it('should execute a function as soon as it is added', async () => {
+                let executed = false;
+
+                instance.push(queueName, () => {
+                    executed = true;
+                });
+
+                await Promise.resolve();
+
+                expect(executed).to.be.true();
+            });
+
+            it('should continue with the next function when one throws', async () => {
+                await new Promise((resolve) => {
+                    instance.push(queueName, async () => {
+                        throw new Error('boom');
+                    });
+                    instance.push(queueName, resolve);
+                });
+            });
+
+            it('should report a delegate that throws to onError', async () => {
+                const error = new Error('boom');
+                const [reported, queue] = await new Promise((resolve) => {
+                    instance = new SerialDispatcher((...args) => resolve(args));
+                    instance.push(queueName, async () => {
+                        throw error;
+                    });
+                });
+
+                expect(reported).to.shallow.equal(error);
+                expect(queue).to.equal(queueName);
+            });
+        });
+
+        describe('depth', () => {
+            it('should report the number of functions waiting to execute', async () => {
+                const blocker = new Promise((resolve) => setTimeout(resolve, 20));
+
+                instance.push(queueName, () => blocker);
+                instance.push(queueName, () => {});
+                instance.push(queueName, () => {});
+
+                expect(instance.depth(queueName)).to.equal(2);
+
+                await instance.drain(queueName);
+
+                expect(instance.depth(queueName)).to.equal(0);
+            });
+
+            it('should report 0 for an unknown queue', () => {
+                expect(instance.depth(queueName)).to.equal(0);
+            });
+        });
+
+        describe('drain', () => {
+            it('should resolve once every function has executed', async () => {
+                let counter = 0;
+                const delegate = async () => {
+                    await new Promise((resolve) => setTimeout(resolve, 5));
+                    ++counter;
+                };
+
+                instance.push(queueName, delegate);
+                instance.push(queueName, delegate);
+                instance.push(queueName, delegate);
+
+                await instance.drain(queueName);
+
+                expect(counter).to.equal(3);
+                expect(instance._queues.size).to.equal(0);
+            });
+
+            it('should resolve immediately for an idle queue', async () => {
+                await instance.drain(queueName);
+            });
+        });
+
+        describe('cancel', () => {
+            it('should drop the functions waiting to execute and let the running one finish', async () => {
+                const executed = [];
+                const delegate = async (orderNumber) => {
+                    await new Promise((resolve) => setTimeout(resolve, 5));
+                    executed.push(orderNumber);
+                };
+
+                instance.push(queueName, delegate.bind(null, 1));
+                instance.push(queueName, delegate.bind(null, 2));
+                instance.push(queueName, delegate.bind(null, 3));
+
+                expect(instance.cancel(queueName)).to.equal(2);
+
+                await instance.drain(queueName);
+
+                expect(executed).to.equal([1]);
+            });
+
+            it('should return 0 for an unknown queue', () => {
+                expect(instance.cancel(queueName)).to.equal(0);
+            });
         });
     });
 });
@@ -0,0 +1,86 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const { SerializerManager, JsonSerializer, RawSerializer, TextSerializer } = require('../../../lib/serializers');
+const Exceptions = require('../../../lib/exceptions');
+
+const { describe, beforeEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+describe('serializers', () => {
+    describe('Serializer Manager', () => {
+        let instance = undefined;
+
+        beforeEach(() => {
+            instance = new SerializerManager();
+        });
+
+        describe('constructor', () => {
+            it('should register the built-in serializers', async () => {
+                expect(instance.list()).to.equal(['application/json', 'application/octet-stream', 'text/plain']);
+                expect(instance.get('application/json')).to.shallow.equal(JsonSerializer);
+                expect(instance.get('application/octet-stream')).to.shallow.equal(RawSerializer);
+                expect(instance.get('text/plain')).to.shallow.equal(TextSerializer);
+            });
+        });
+
+        describe('register', () => {
+            it('should add a serializer for a content type', async () => {
+                const serializer = { serialize: () => Buffer.from(''), deserialize: () => ({}) };
+
+                instance.register('application/x-test', serializer);
+
+                expect(instance.contains('application/x-test')).to.be.true();
+                expect(instance.get('application/x-test')).to.shallow.equal(serializer);
+            });
+
+            it('should replace an existing serializer for a content type', async () => {
+                const serializer = { serialize: () => Buffer.from(''), deserialize: () => ({}) };
+
+                instance.register('application/json', serializer);
+
+                expect(instance.get('application/json')).to.shallow.equal(serializer);
+            });
+
+            it('should throw IncompatibleSerializerError when the contract is not met', async () => {
+                expect(() => instance.register('application/x-test', { serialize: () => {} })).to.throw(
+                    Exceptions.IncompatibleSerializerError
+                );
+                expect(() => instance.register('application/x-test')).to.throw(Exceptions.IncompatibleSerializerError);
+            });
+        });
+
+        describe('remove', () => {
+            it('should remove a serializer for a content type', async () => {
+                expect(instance.remove('text/plain')).to.be.true();
+                expect(instance.contains('text/plain')).to.be.false();
+            });
+
+            it('should no-op when the content type is not registered', async () => {
+                expect(instance.remove('application/x-test')).to.be.false();
+            });
+        });
+    });
+
+    describe('built-in serializers', () => {
+        it('should round trip JSON', async () => {
+            const message = { hello: 'world', list: [1, 2] };
+
+            expect(JsonSerializer.deserialize(JsonSerializer.serialize(message))).to.equal(message);
+        });
+
+        it('should pass buffers through raw', async () => {
+            const message = Buffer.from('hello');
+
+            expect(RawSerializer.serialize(message)).to.shallow.equal(message);
+            expect(RawSerializer.deserialize(message)).to.shallow.equal(message);
+            expect(RawSerializer.serialize('hello')).to.equal(message);
+        });
+
+        it('should round trip text', async () => {
+            expect(TextSerializer.deserialize(TextSerializer.serialize('hello'))).to.equal('hello');
+            expect(TextSerializer.serialize({ hello: 'world' }).toString()).to.equal('{"hello":"world"}');
+        });
+    });
+});
@@ -440,6 +440,20 @@ describe('state management', () => {
                 expect(result).to.shallow.equal(channelContext);
             });
 
+            it('should mark channel as writable when channel drains', async () => {
+                channelContext.writable = false;
+
+                const promise = new Promise((resolve) => {
+                    channelContext.once(ChannelManager.AMQP_CHANNEL_DRAIN_EVENT, resolve);
+                });
+
+                channelContext.channel.emit('drain');
+
+                await promise;
+
+                expect(channelContext.writable).to.be.true();
+            });
+
             it('should emit CHANNEL_REMOVED from the context when channel is removed', async () => {
                 let result = null;
 
@@ -114,6 +114,63 @@ describe('state management', () => {
             });
         });
 
+        describe('create (cluster)', () => {
+            const baseConnectionName = 'connection-createClusterConnection';
+
+            it('should connect to the first node of the list when it is available', async () => {
+                const result = await instance.create(
+                    baseConnectionName,
+                    Object.assign({}, defaultConfiguration, { hosts: ['127.0.0.1:5672', '127.0.0.1:60000'] })
+                );
+
+                expect(result.connection).to.exist();
+                expect(result.host).to.equal({ hostname: '127.0.0.1', port: 5672 });
+            });
+
+            it('should fail over to the next node when a node is unavailable', { timeout: 10000 }, async () => {
+                const result = await instance.create(
+                    baseConnectionName,
+                    Object.assign({}, defaultConfiguration, {
+                        hosts: [{ hostname: '127.0.0.1', port: 60000 }, { hostname: '127.0.0.1' }]
+                    })
+                );
+
+                expect(result.connection).to.exist();
+                expect(result.host).to.equal({ hostname: '127.0.0.1', port: defaultConfiguration.port });
+            });
+
+            it('should fail over past a node that can not be resolved', { timeout: 10000 }, async () => {
+                const result = await instance.create(
+                    baseConnectionName,
+                    Object.assign({}, defaultConfiguration, {
+                        hosts: ['fake.bunnybus.local', '127.0.0.1'],
+                        hostSelection: 'round-robin'
+                    })
+                );
+
+                expect(result.connection).to.exist();
+                expect(result.host.hostname).to.equal('127.0.0.1');
+            });
+
+            it('should error when every node is unavailable', { timeout: 10000 }, async () => {
+                let sut = null;
+
+                try {
+                    await instance.create(
+                        baseConnectionName,
+                        Object.assign({}, defaultConfiguration, {
+                            hosts: ['127.0.0.1:60000', '127.0.0.1:60001'],
+                            connectionRetryCount: 2
+                        })
+                    );
+                } catch (err) {
+                    sut = err;
+                }
+
+                expect(sut).to.be.an.error('Exceeded maximum attempts of retries of 2');
+            });
+        });
+
         describe('contains', () => {
             const baseConnectionName = 'connection-containsConnection';
 
@@ -209,6 +266,28 @@ describe('state management', () => {
             });
         });
 
+        describe('blocked', () => {
+            const baseConnectionName = 'connection-blocked';
+
+            it('should be false when no connection is blocked', async () => {
+                await instance.create(baseConnectionName, defaultConfiguration);
+
+                const result = instance.blocked;
+
+                expect(result).to.be.false();
+            });
+
+            it('should be true when a connection is blocked', async () => {
+                const context = await instance.create(baseConnectionName, defaultConfiguration);
+
+                context.blocked = true;
+
+                const result = instance.blocked;
+
+                expect(result).to.be.true();
+            });
+        });
+
         describe('hasConnection', () => {
             const baseConnectionName = 'connection-hasConnectionConnection';
 
@@ -424,6 +503,22 @@ describe('state management', () => {
                 expect(result).to.be.false();
             });
 
+            it('should set blocked to false when connection closes', async () => {
+                const promise = new Promise((resolve) => {
+                    connectionContext.once(ConnectionManager.AMQP_CONNECTION_CLOSE_EVENT, resolve);
+                });
+
+                connectionContext.blocked = true;
+
+                connectionContext.connection.emit('close');
+
+                await promise;
+
+                const result = connectionContext.blocked;
+
+                expect(result).to.be.false();
+            });
+
             it('should emit CONNECTION_REMOVED from the context when connection is removed', async () => {
                 let result = null;
 
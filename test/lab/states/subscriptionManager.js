@@ -116,6 +116,30 @@ describe('state management', () => {
                     instance.tag(queueName, consumerTag);
                 });
             });
+
+            it('should keep every tag by channel name when a queue has several consumers', () => {
+                const queueName = `${baseQueueName}-4`;
+                const consumerTags = { 'channel-a': 'abcdefg012345', 'channel-b': 'hijklmn678901' };
+
+                instance.create(queueName, { event1: () => {} }, { consumerCount: 2 });
+                instance.tag(queueName, consumerTags);
+                const sut = instance.get(queueName);
+
+                expect(sut.consumerTag).to.equal('abcdefg012345');
+                expect(sut.consumerTags).to.equal(consumerTags);
+            });
+
+            it('should clear every tag of a queue with several consumers', () => {
+                const queueName = `${baseQueueName}-5`;
+
+                instance.create(queueName, { event1: () => {} }, { consumerCount: 2 });
+                instance.tag(queueName, { 'channel-a': 'abcdefg012345', 'channel-b': 'hijklmn678901' });
+                instance.clear(queueName);
+                const sut = instance.get(queueName);
+
+                expect(sut.consumerTag).to.not.exist();
+                expect(sut.consumerTags).to.not.exist();
+            });
         });
 
         describe('get', () => {
@@ -426,5 +450,89 @@ describe('state management', () => {
                 expect(result).to.be.false();
             });
         });
+
+        describe('pause/resume/isPaused', () => {
+            const baseQueueName = 'subscription-pause';
+
+            it('should create subscriptions that are not paused', () => {
+                const queueName = `${baseQueueName}-1`;
+
+                instance.create(queueName, { event1: () => {} }, {});
+
+                expect(instance.isPaused(queueName)).to.be.false();
+                expect(instance.get(queueName).paused).to.be.false();
+            });
+
+            it('should be true when pausing a subscription', () => {
+                const queueName = `${baseQueueName}-2`;
+
+                instance.create(queueName, { event1: () => {} }, {});
+                const result = instance.pause(queueName);
+
+                expect(result).to.be.true();
+                expect(instance.isPaused(queueName)).to.be.true();
+            });
+
+            it('should be false when pausing a subscription that is already paused', () => {
+                const queueName = `${baseQueueName}-3`;
+
+                instance.create(queueName, { event1: () => {} }, {});
+                instance.pause(queueName);
+                const result = instance.pause(queueName);
+
+                expect(result).to.be.false();
+            });
+
+            it('should be false when pausing a subscription that does not exist', () => {
+                const result = instance.pause(`${baseQueueName}-4`);
+
+                expect(result).to.be.false();
+            });
+
+            it('should be true when resuming a paused subscription', () => {
+                const queueName = `${baseQueueName}-5`;
+
+                instance.create(queueName, { event1: () => {} }, {});
+                instance.pause(queueName);
+                const result = instance.resume(queueName);
+
+                expect(result).to.be.true();
+                expect(instance.isPaused(queueName)).to.be.false();
+            });
+
+            it('should be false when resuming a subscription that is not paused', () => {
+                const queueName = `${baseQueueName}-6`;
+
+                instance.create(queueName, { event1: () => {} }, {});
+                const result = instance.resume(queueName);
+
+                expect(result).to.be.false();
+            });
+
+            it('should show the paused state in list()', () => {
+                const queueName = `${baseQueueName}-7`;
+
+                instance.create(queueName, { event1: () => {} }, {});
+                instance.pause(queueName);
+
+                const sut = instance.list().find((subscription) => subscription.queue === queueName);
+
+                expect(sut.paused).to.be.true();
+            });
+
+            it('should subscribe to `subscription.paused` and `subscription.resumed` events', async () => {
+                const queueName = `${baseQueueName}-8`;
+                const events = [];
+
+                instance.once(SubscriptionManager.PAUSED_EVENT, (queue) => events.push(`paused:${queue}`));
+                instance.once(SubscriptionManager.RESUMED_EVENT, (queue) => events.push(`resumed:${queue}`));
+
+                instance.create(queueName, { event1: () => {} }, {});
+                instance.pause(queueName);
+                instance.resume(queueName);
+
+                expect(events).to.equal([`paused:${queueName}`, `resumed:${queueName}`]);
+            });
+        });
     });
 });
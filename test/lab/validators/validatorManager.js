@@ -0,0 +1,126 @@
+'use strict';
+
+const Code = require('@hapi/code');
+const Lab = require('@hapi/lab');
+const { ValidatorManager } = require('../../../lib/validators');
+const Exceptions = require('../../../lib/exceptions');
+
+const { describe, beforeEach, it } = (exports.lab = Lab.script());
+const expect = Code.expect;
+
+describe('validators', () => {
+    describe('Validator Manager', () => {
+        let instance = undefined;
+
+        beforeEach(() => {
+            instance = new ValidatorManager();
+        });
+
+        describe('register', () => {
+            it('should add a validator function for a route key pattern', async () => {
+                instance.register('a.b', () => true);
+
+                expect(instance.contains('a.b')).to.be.true();
+                expect(instance.list()).to.equal(['a.b']);
+            });
+
+            it('should add a JSON schema for a route key pattern', async () => {
+                instance.register('a.b', { type: 'object' });
+
+                expect(instance.contains('a.b')).to.be.true();
+            });
+
+            it('should throw IncompatibleValidatorError when the validator is neither a function or a schema', async () => {
+                expect(() => instance.register('a.b', 'schema')).to.throw(Exceptions.IncompatibleValidatorError);
+                expect(() => instance.register('a.b')).to.throw(Exceptions.IncompatibleValidatorError);
+            });
+
+            it('should throw IncompatibleValidatorError when the validator is an async function', async () => {
+                expect(() => instance.register('a.b', async () => true)).to.throw(
+                    Exceptions.IncompatibleValidatorError
+                );
+                expect(instance.contains('a.b')).to.be.false();
+            });
+        });
+
+        describe('remove', () => {
+            it('should remove a validator for a route key pattern', async () => {
+                instance.register('a.b', () => true);
+
+                expect(instance.remove('a.b')).to.be.true();
+                expect(instance.contains('a.b')).to.be.false();
+            });
+
+            it('should no-op when the route key pattern is not registered', async () => {
+                expect(instance.remove('a.b')).to.be.false();
+            });
+        });
+
+        describe('validate', () => {
+            const schema = {
+                type: 'object',
+                properties: {
+                    name: { type: 'string' },
+                    count: { type: 'integer' }
+                },
+                required: ['name']
+            };
+
+            it('should return no errors when no validator matches the route key', async () => {
+                instance.register('a.b', schema);
+
+                expect(instance.validate('c.d', {})).to.equal([]);
+            });
+
+            it('should return no errors for a message that satisfies the schema', async () => {
+                instance.register('a.*', schema);
+
+                expect(instance.validate('a.b', { name: 'bunny', count: 1 })).to.equal([]);
+            });
+
+            it('should list every schema violation', async () => {
+                instance.register('a.*', schema);
+
+                expect(instance.validate('a.b', { count: 'one' })).to.equal([
+                    "message should have required property 'name'",
+                    'message.count should be integer'
+                ]);
+            });
+
+            it('should collect errors from every matching validator', async () => {
+                instance.register('a.#', () => 'first');
+                instance.register('a.b', () => ['second', new Error('third')]);
+
+                expect(instance.validate('a.b', {})).to.equal(['first', 'second', 'third']);
+            });
+
+            it('should treat a validator function returning false as invalid', async () => {
+                instance.register('a.b', () => false);
+
+                expect(instance.validate('a.b', {})).to.equal(['message is invalid']);
+            });
+
+            it('should treat a validator function returning nothing as valid', async () => {
+                instance.register('a.b', () => {});
+
+                expect(instance.validate('a.b', {})).to.equal([]);
+            });
+
+            it('should report an error thrown by a validator function', async () => {
+                instance.register('a.b', () => {
+                    throw new Error('boom');
+                });
+
+                expect(instance.validate('a.b', {})).to.equal(['boom']);
+            });
+
+            it('should fail a message when a validator function returns a promise', async () => {
+                instance.register('a.b', () => Promise.resolve(true));
+
+                expect(instance.validate('a.b', {})).to.equal([
+                    new Exceptions.IncompatibleValidatorError('a.b').message
+                ]);
+            });
+        });
+    });
+});